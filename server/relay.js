@@ -0,0 +1,280 @@
+import { randomBytes } from "node:crypto";
+import { pathToFileURL } from "node:url";
+import { WebSocketServer } from "ws";
+import { normalizeRules } from "../src/gameRules.js";
+
+const DEFAULT_PORT = 8787;
+const ROOM_CODE_LENGTH = 5;
+const ROOM_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const ROOM_IDLE_TTL_MS = 24 * 60 * 60 * 1000;
+const HEARTBEAT_INTERVAL_MS = 30_000;
+const MAX_MESSAGE_BYTES = 16 * 1024;
+const MIN_SIZE = 2;
+const MAX_SIZE = 6;
+const DEFAULT_SIZE = 3;
+const MAX_ROOMS = 1000;
+
+const SIDES = ["X", "O"];
+
+const createRoomCode = (rooms) => {
+  let code = "";
+  do {
+    const bytes = randomBytes(ROOM_CODE_LENGTH);
+    code = Array.from(
+      bytes,
+      (byte) => ROOM_CODE_ALPHABET[byte % ROOM_CODE_ALPHABET.length],
+    ).join("");
+  } while (rooms.has(code));
+  return code;
+};
+
+const createToken = () => randomBytes(16).toString("hex");
+
+// Every client builds a size⁴-cell game for the room, so the size is clamped to what the app
+// can play.
+const clampSize = (value) =>
+  Number.isInteger(value) ? Math.min(Math.max(value, MIN_SIZE), MAX_SIZE) : DEFAULT_SIZE;
+
+// A game has one move per cell and at most one board pick after each, so a longer log can only
+// come from a misbehaving client.
+const getMaxActions = (size) => size ** 4 * 2;
+
+const ACTION_FIELDS = ["type", "boardIndex", "cellIndex", "sendBoardIndex", "player", "timestamp"];
+
+const pickActionFields = (action) =>
+  Object.fromEntries(
+    ACTION_FIELDS.filter((field) => field in action).map((field) => [field, action[field]]),
+  );
+
+const send = (socket, message) => {
+  if (socket && socket.readyState === socket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+};
+
+const describePresence = (room) => ({
+  type: "presence",
+  seats: Object.fromEntries(
+    SIDES.map((side) => [
+      side,
+      { taken: Boolean(room.seats[side]), online: Boolean(room.seats[side]?.socket) },
+    ]),
+  ),
+});
+
+const broadcast = (room, message) => {
+  SIDES.forEach((side) => send(room.seats[side]?.socket, message));
+};
+
+const describeRoom = (room, side, token) => ({
+  type: "joined",
+  code: room.code,
+  side,
+  token,
+  size: room.size,
+  rules: room.rules,
+  actions: room.actions,
+});
+
+// The relay only orders and stores actions; each browser re-validates them with the game
+// engine. It checks that the sender owns the side it plays and that the action extends the
+// current log, so a reconnecting client can always rebuild the game from `actions`.
+export const createRelayServer = ({ port = DEFAULT_PORT, host, maxRooms = MAX_ROOMS } = {}) => {
+  const rooms = new Map();
+  const wss = new WebSocketServer({ port, host, maxPayload: MAX_MESSAGE_BYTES });
+
+  const releaseSocket = (socket) => {
+    const room = rooms.get(socket.roomCode);
+    const seat = room?.seats[socket.side];
+    if (seat?.socket === socket) {
+      seat.socket = null;
+      broadcast(room, describePresence(room));
+    }
+  };
+
+  const seatSocket = (room, side, socket) => {
+    if (socket.roomCode && (socket.roomCode !== room.code || socket.side !== side)) {
+      releaseSocket(socket);
+    }
+
+    const seat = room.seats[side];
+    if (seat.socket && seat.socket !== socket) {
+      seat.socket.close(4000, "Replaced by a newer connection");
+    }
+    seat.socket = socket;
+    socket.roomCode = room.code;
+    socket.side = side;
+    room.updatedAt = Date.now();
+  };
+
+  const handleCreate = (socket, message) => {
+    if (rooms.size >= maxRooms) {
+      send(socket, {
+        type: "error",
+        code: "server-full",
+        message: "The relay has no free rooms; try again later.",
+      });
+      return;
+    }
+
+    const code = createRoomCode(rooms);
+    const side = message.side === "O" ? "O" : "X";
+    const token = createToken();
+    const size = clampSize(message.size);
+    const room = {
+      code,
+      size,
+      rules: normalizeRules(message.rules, size),
+      actions: [],
+      seats: { X: null, O: null },
+      updatedAt: Date.now(),
+    };
+    room.seats[side] = { token, socket: null };
+    rooms.set(code, room);
+    seatSocket(room, side, socket);
+    send(socket, describeRoom(room, side, token));
+    broadcast(room, describePresence(room));
+  };
+
+  const handleJoin = (socket, message) => {
+    const code = String(message.code ?? "").trim().toUpperCase();
+    const room = rooms.get(code);
+    if (!room) {
+      send(socket, {
+        type: "error",
+        code: "room-not-found",
+        message: `Room ${code} does not exist.`,
+      });
+      return;
+    }
+
+    let side =
+      typeof message.token === "string"
+        ? SIDES.find((candidate) => room.seats[candidate]?.token === message.token)
+        : undefined;
+    if (!side) {
+      side = SIDES.find((candidate) => !room.seats[candidate]);
+      if (!side) {
+        send(socket, {
+          type: "error",
+          code: "room-full",
+          message: `Room ${code} already has two players.`,
+        });
+        return;
+      }
+      room.seats[side] = { token: createToken(), socket: null };
+    }
+
+    seatSocket(room, side, socket);
+    send(socket, describeRoom(room, side, room.seats[side].token));
+    broadcast(room, describePresence(room));
+  };
+
+  const handleAction = (socket, message) => {
+    const room = rooms.get(socket.roomCode);
+    if (!room) {
+      send(socket, { type: "error", code: "not-in-room", message: "Join a room before playing." });
+      return;
+    }
+
+    const action = message.action;
+    if (
+      typeof action !== "object" ||
+      action === null ||
+      action.player !== socket.side ||
+      message.seq !== room.actions.length
+    ) {
+      send(socket, { type: "sync", actions: room.actions });
+      return;
+    }
+    if (room.actions.length >= getMaxActions(room.size)) {
+      send(socket, { type: "error", code: "log-full", message: "This room's game is over." });
+      return;
+    }
+
+    const storedAction = pickActionFields(action);
+    room.actions.push(storedAction);
+    room.updatedAt = Date.now();
+    broadcast(room, { type: "action", seq: message.seq, action: storedAction });
+  };
+
+  const handlers = {
+    create: handleCreate,
+    join: handleJoin,
+    action: handleAction,
+    sync: (socket) => {
+      const room = rooms.get(socket.roomCode);
+      send(socket, { type: "sync", actions: room ? room.actions : [] });
+    },
+  };
+
+  wss.on("connection", (socket) => {
+    socket.isAlive = true;
+    socket.on("pong", () => {
+      socket.isAlive = true;
+    });
+
+    socket.on("message", (data) => {
+      let message = null;
+      try {
+        message = JSON.parse(String(data));
+      } catch {
+        send(socket, { type: "error", code: "bad-message", message: "Messages must be JSON." });
+        return;
+      }
+
+      const handler = handlers[message?.type];
+      if (handler) {
+        handler(socket, message);
+      } else {
+        send(socket, {
+          type: "error",
+          code: "bad-message",
+          message: `Unknown type "${message?.type}".`,
+        });
+      }
+    });
+
+    socket.on("close", () => releaseSocket(socket));
+  });
+
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach((socket) => {
+      if (!socket.isAlive) {
+        socket.terminate();
+        return;
+      }
+      socket.isAlive = false;
+      socket.ping();
+    });
+
+    const now = Date.now();
+    rooms.forEach((room, code) => {
+      const occupied = SIDES.some((side) => room.seats[side]?.socket);
+      if (!occupied && now - room.updatedAt > ROOM_IDLE_TTL_MS) {
+        rooms.delete(code);
+      }
+    });
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeat.unref();
+
+  return {
+    wss,
+    rooms,
+    close: () =>
+      new Promise((resolve) => {
+        clearInterval(heartbeat);
+        wss.clients.forEach((socket) => socket.terminate());
+        wss.close(() => resolve());
+      }),
+  };
+};
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number.parseInt(process.env.PORT ?? "", 10) || DEFAULT_PORT;
+  const relay = createRelayServer({ port, host: process.env.HOST });
+  relay.wss.on("listening", () => {
+    const host = process.env.HOST ?? "localhost";
+    console.log(`Super Tic-Tac-Toe relay listening on ws://${host}:${port}`);
+  });
+}
@@ -0,0 +1,92 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import WebSocket from "ws";
+import { createRelayServer } from "./relay.js";
+
+let relay = null;
+let url = "";
+
+before(async () => {
+  relay = createRelayServer({ port: 0, host: "127.0.0.1", maxRooms: 2 });
+  await new Promise((resolve) => relay.wss.once("listening", resolve));
+  url = `ws://127.0.0.1:${relay.wss.address().port}`;
+});
+
+after(() => relay.close());
+
+// Opens a client and collects its messages; `next(type)` resolves with the next one of that type.
+const connect = async () => {
+  const socket = new WebSocket(url);
+  const received = [];
+  const waiting = [];
+  socket.on("message", (data) => {
+    const message = JSON.parse(String(data));
+    const index = waiting.findIndex((entry) => entry.type === message.type);
+    if (index >= 0) {
+      waiting.splice(index, 1)[0].resolve(message);
+    } else {
+      received.push(message);
+    }
+  });
+  await new Promise((resolve, reject) => {
+    socket.once("open", resolve);
+    socket.once("error", reject);
+  });
+
+  return {
+    send: (message) => socket.send(JSON.stringify(message)),
+    next: (type) => {
+      const index = received.findIndex((message) => message.type === type);
+      if (index >= 0) {
+        return Promise.resolve(received.splice(index, 1)[0]);
+      }
+      return new Promise((resolve) => waiting.push({ type, resolve }));
+    },
+    close: () => socket.close(),
+  };
+};
+
+test("relays a move between the two seats of a room", async () => {
+  const host = await connect();
+  host.send({ type: "create", side: "X", size: 3, rules: null });
+  const created = await host.next("joined");
+  assert.equal(created.side, "X");
+  assert.deepEqual(created.actions, []);
+
+  const guest = await connect();
+  guest.send({ type: "join", code: created.code.toLowerCase() });
+  const joined = await guest.next("joined");
+  assert.equal(joined.side, "O");
+  assert.equal(joined.size, 3);
+
+  const move = { type: "move", boardIndex: 4, cellIndex: 0, player: "X", extra: "dropped" };
+  host.send({ type: "action", seq: 0, action: move });
+  const relayed = await guest.next("action");
+  assert.equal(relayed.seq, 0);
+  assert.deepEqual(relayed.action, { type: "move", boardIndex: 4, cellIndex: 0, player: "X" });
+
+  guest.send({ type: "action", seq: 0, action: { type: "move", player: "O" } });
+  const sync = await guest.next("sync");
+  assert.equal(sync.actions.length, 1);
+
+  host.close();
+  guest.close();
+});
+
+test("clamps the board size and normalizes rules from the creator", async () => {
+  const client = await connect();
+  client.send({ type: "create", size: 100_000, rules: { winLength: 99, drawnBoards: "x" } });
+  const created = await client.next("joined");
+  assert.equal(created.size, 6);
+  assert.equal(created.rules.winLength, 6);
+  assert.equal(created.rules.drawnBoards, "none");
+  client.close();
+});
+
+test("refuses new rooms once the room limit is reached", async () => {
+  const client = await connect();
+  client.send({ type: "create" });
+  const error = await client.next("error");
+  assert.equal(error.code, "server-full");
+  client.close();
+});
@@ -0,0 +1,225 @@
+import { useEffect, useRef, useState } from "react";
+import { canChooseNextBoard, indexToCoords } from "./gameLogic";
+
+const FORCED_BOARD_KEY = "f";
+
+const coordsLabel = (index, size) => {
+  const { row, col } = indexToCoords(index, size);
+  return `(${row + 1}, ${col + 1})`;
+};
+
+const toBoardCell = (row, col, size) => ({
+  boardIndex: Math.floor(row / size) * size + Math.floor(col / size),
+  cellIndex: (row % size) * size + (col % size),
+});
+
+const toGridCoords = (boardIndex, cellIndex, size) => {
+  const board = indexToCoords(boardIndex, size);
+  const cell = indexToCoords(cellIndex, size);
+  return { row: board.row * size + cell.row, col: board.col * size + cell.col };
+};
+
+const describeBoardState = (board) => {
+  if (board.winner) {
+    return `, board won by ${board.winner}`;
+  }
+  return board.isDraw ? ", board drawn" : "";
+};
+
+const hasResultChanged = (previous, next) =>
+  previous.winner !== next.winner ||
+  previous.isDraw !== next.isDraw ||
+  previous.timedOutPlayer !== next.timedOutPlayer;
+
+// Builds the live-region text for one game change; statusText is appended by the caller so
+// the announcement ends with the same sentence the HUD shows.
+const describeChange = (previous, next) => {
+  const { size } = next;
+  if (next.moves.length < previous.moves.length) {
+    return "Move taken back.";
+  }
+
+  if (next.moves.length === previous.moves.length) {
+    // A loss on time ends the game without a move; statusText says who won.
+    if (hasResultChanged(previous, next) && (next.winner || next.isDraw)) {
+      return "Game over.";
+    }
+    const lastMove = next.moves[next.moves.length - 1];
+    return Number.isInteger(lastMove?.sendBoardIndex) &&
+      !Number.isInteger(previous.moves[previous.moves.length - 1]?.sendBoardIndex)
+      ? `${lastMove.player} sent play to board ${coordsLabel(lastMove.sendBoardIndex, size)}.`
+      : "";
+  }
+
+  const move = next.moves[next.moves.length - 1];
+  const parts = [
+    `${move.player} played board ${coordsLabel(move.boardIndex, size)}, cell ${coordsLabel(
+      move.cellIndex,
+      size,
+    )}.`,
+  ];
+  next.boards.forEach((board, index) => {
+    const before = previous.boards[index];
+    if (board.winner && !before?.winner) {
+      parts.push(`${board.winner} captured board ${coordsLabel(index, size)}.`);
+    } else if (board.isDraw && !before?.isDraw) {
+      parts.push(`Board ${coordsLabel(index, size)} is drawn.`);
+    }
+  });
+  return parts.join(" ");
+};
+
+// A DOM mirror of the 3D board for keyboard and screen-reader users. It is one tab stop with a
+// roving focus: arrow keys move between cells, Enter or Space plays, F jumps to the forced board.
+const AccessibleBoard = ({ game, allowedBoards, statusText, readOnly, onCellClick }) => {
+  const { size } = game;
+  const span = size * size;
+  const [focus, setFocus] = useState({ row: 0, col: 0 });
+  const [announcement, setAnnouncement] = useState("");
+  const cellRefs = useRef(new Map());
+  const previousGameRef = useRef(game);
+  const focusRow = Math.min(focus.row, span - 1);
+  const focusCol = Math.min(focus.col, span - 1);
+
+  useEffect(() => {
+    const previous = previousGameRef.current;
+    previousGameRef.current = game;
+    if (previous === game || previous.size !== game.size) {
+      return;
+    }
+    const change = describeChange(previous, game);
+    if (change) {
+      setAnnouncement(`${change} ${statusText}`);
+    }
+  }, [game, statusText]);
+
+  const moveFocus = (row, col) => {
+    const next = {
+      row: Math.min(Math.max(row, 0), span - 1),
+      col: Math.min(Math.max(col, 0), span - 1),
+    };
+    setFocus(next);
+    cellRefs.current.get(`${next.row}-${next.col}`)?.focus();
+  };
+
+  const jumpToForcedBoard = () => {
+    const boardIndex = allowedBoards[0];
+    if (!Number.isInteger(boardIndex)) {
+      setAnnouncement(statusText);
+      return;
+    }
+    const cells = game.boards[boardIndex].cells;
+    const cellIndex = Math.max(
+      cells.findIndex((value) => value === null),
+      0,
+    );
+    const target = toGridCoords(boardIndex, cellIndex, size);
+    moveFocus(target.row, target.col);
+  };
+
+  const handleKeyDown = (event) => {
+    const steps = {
+      ArrowUp: [-1, 0],
+      ArrowDown: [1, 0],
+      ArrowLeft: [0, -1],
+      ArrowRight: [0, 1],
+    };
+
+    if (steps[event.key]) {
+      const [rowStep, colStep] = steps[event.key];
+      moveFocus(focusRow + rowStep, focusCol + colStep);
+    } else if (event.key === "Home") {
+      moveFocus(event.ctrlKey ? 0 : focusRow, 0);
+    } else if (event.key === "End") {
+      moveFocus(event.ctrlKey ? span - 1 : focusRow, span - 1);
+    } else if (event.key.toLowerCase() === FORCED_BOARD_KEY && !event.ctrlKey && !event.metaKey) {
+      jumpToForcedBoard();
+    } else if (event.key === "Enter" || event.key === " ") {
+      if (!readOnly) {
+        const { boardIndex, cellIndex } = toBoardCell(focusRow, focusCol, size);
+        onCellClick(boardIndex, cellIndex);
+      }
+    } else {
+      return;
+    }
+
+    event.preventDefault();
+    event.stopPropagation();
+  };
+
+  return (
+    <div className="a11y-board">
+      <p id="a11y-board-help" className="a11y-board-help">
+        Arrow keys move between cells, Enter or Space plays, F jumps to the board you must play.
+      </p>
+      <div
+        role="grid"
+        aria-label="Super Tic-Tac-Toe board"
+        aria-describedby="a11y-board-help"
+        aria-readonly={readOnly || undefined}
+        aria-rowcount={span}
+        aria-colcount={span}
+        className="a11y-grid"
+        style={{ gridTemplateColumns: `repeat(${span}, 1fr)` }}
+        onKeyDown={handleKeyDown}
+      >
+        {Array.from({ length: span }, (_, row) => (
+          <div key={row} role="row" aria-rowindex={row + 1} className="a11y-row">
+            {Array.from({ length: span }, (_, col) => {
+              const { boardIndex, cellIndex } = toBoardCell(row, col, size);
+              const board = game.boards[boardIndex];
+              const value = board.cells[cellIndex];
+              const playable = game.boardChoicePending
+                ? canChooseNextBoard(game, boardIndex)
+                : allowedBoards.includes(boardIndex) && value === null;
+              const focused = row === focusRow && col === focusCol;
+              const classes = [
+                "a11y-cell",
+                allowedBoards.includes(boardIndex) ? "allowed" : "",
+                (col + 1) % size === 0 && col + 1 < span ? "board-edge-right" : "",
+                (row + 1) % size === 0 && row + 1 < span ? "board-edge-bottom" : "",
+              ]
+                .filter(Boolean)
+                .join(" ");
+
+              return (
+                <div
+                  key={col}
+                  ref={(element) => {
+                    if (element) {
+                      cellRefs.current.set(`${row}-${col}`, element);
+                    } else {
+                      cellRefs.current.delete(`${row}-${col}`);
+                    }
+                  }}
+                  role="gridcell"
+                  aria-colindex={col + 1}
+                  aria-disabled={readOnly || !playable}
+                  aria-label={`${value ?? "Empty"}, board ${coordsLabel(
+                    boardIndex,
+                    size,
+                  )}, cell ${coordsLabel(cellIndex, size)}${describeBoardState(board)}`}
+                  tabIndex={focused ? 0 : -1}
+                  className={classes}
+                  onClick={() => {
+                    setFocus({ row, col });
+                    if (!readOnly) {
+                      onCellClick(boardIndex, cellIndex);
+                    }
+                  }}
+                >
+                  {value ?? ""}
+                </div>
+              );
+            })}
+          </div>
+        ))}
+      </div>
+      <p className="a11y-live" role="status" aria-live="polite" aria-atomic="true">
+        {announcement}
+      </p>
+    </div>
+  );
+};
+
+export default AccessibleBoard;
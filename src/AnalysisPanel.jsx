@@ -0,0 +1,91 @@
+import { indexToCoords } from "./gameLogic";
+
+const coordsLabel = (index, size) => {
+  const { row, col } = indexToCoords(index, size);
+  return `(${row + 1}, ${col + 1})`;
+};
+
+const formatChance = (chance) => `${Math.round(chance * 100)}%`;
+
+const listBoards = (boardIndexes, size) =>
+  boardIndexes.map((index) => coordsLabel(index, size)).join(", ");
+
+const describeThreats = (game, analysis) => {
+  const notes = [];
+  ["X", "O"].forEach((player) => {
+    const boards = analysis.boardThreats
+      .map((threats, boardIndex) => (threats[player].length > 0 ? boardIndex : null))
+      .filter((boardIndex) => boardIndex !== null);
+    if (boards.length > 0) {
+      notes.push(`${player} can take ${listBoards(boards, game.size)}`);
+    }
+    if (analysis.metaThreats[player].length > 0) {
+      notes.push(
+        `${player} wins by capturing ${listBoards(analysis.metaThreats[player], game.size)}`,
+      );
+    }
+  });
+  return notes.length > 0 ? notes.join(" • ") : "No immediate threats.";
+};
+
+// Spells out what the hovered move does, so a bad move shows why it is bad.
+const describePreview = (game, preview, xWinChance) => {
+  const cell = `${coordsLabel(preview.boardIndex, game.size)}:${coordsLabel(
+    preview.cellIndex,
+    game.size,
+  )}`;
+  if (preview.winsGame) {
+    return `${cell} wins the game.`;
+  }
+
+  const parts = [preview.captures ? `${cell} captures the board` : cell];
+  if (preview.endsInDraw) {
+    parts.push("ends the game in a draw");
+  } else if (preview.choosesBoard) {
+    parts.push(`lets ${preview.player} pick ${preview.opponent}'s board`);
+  } else if (preview.freeMove) {
+    parts.push(`gives ${preview.opponent} a free move anywhere`);
+  } else {
+    parts.push(`sends ${preview.opponent} to ${coordsLabel(preview.sendBoardIndex, game.size)}`);
+  }
+  if (preview.givesThreat) {
+    parts.push(`where ${preview.opponent} can take a board`);
+  }
+
+  const playerChance = (chance) => (preview.player === "X" ? chance : 1 - chance);
+  const delta = Math.round((playerChance(preview.xWinChance) - playerChance(xWinChance)) * 100);
+  const trend = delta === 0 ? "no change" : `${delta > 0 ? "+" : ""}${delta} pts`;
+  return `${parts.join(", ")}. ${preview.player} ${formatChance(
+    playerChance(preview.xWinChance),
+  )} (${trend}).`;
+};
+
+const AnalysisPanel = ({ game, analysis, preview, theme }) => {
+  const xPercent = Math.round(analysis.xWinChance * 100);
+
+  return (
+    <div className="analysis-panel">
+      <div
+        className="eval-bar"
+        role="meter"
+        aria-label="Estimated winning chance for X"
+        aria-valuemin={0}
+        aria-valuemax={100}
+        aria-valuenow={xPercent}
+        style={{ background: theme.pieces.o }}
+      >
+        <span style={{ width: `${xPercent}%`, background: theme.pieces.x }} />
+      </div>
+      <p className="analysis-line">
+        <strong>
+          X {formatChance(analysis.xWinChance)} • O {formatChance(1 - analysis.xWinChance)}
+        </strong>{" "}
+        {preview
+          ? describePreview(game, preview, analysis.xWinChance)
+          : describeThreats(game, analysis)}
+      </p>
+    </div>
+  );
+};
+
+export default AnalysisPanel;
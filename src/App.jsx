@@ -1,243 +1,1617 @@
-import { useEffect, useMemo, useState } from "react";
-import Board3D from "./Board3D";
-import { createInitialGameState, getAllowedBoardIndexes, indexToCoords, makeMove } from "./gameLogic";
+import { Suspense, lazy, useCallback, useEffect, useMemo, useRef, useState } from "react";
+import AccessibleBoard from "./AccessibleBoard";
+import AnalysisPanel from "./AnalysisPanel";
+import AudioPanel from "./AudioPanel";
+import Board2D from "./Board2D";
+import BoardFallback from "./BoardFallback";
+import DisplayPanel from "./DisplayPanel";
+import GameClocks from "./GameClocks";
+import GameLibraryPanel from "./GameLibraryPanel";
+import GameRecordPanel from "./GameRecordPanel";
+import OnlinePanel from "./OnlinePanel";
+import PeerPanel from "./PeerPanel";
+import ProfilesPanel from "./ProfilesPanel";
+import PuzzlePanel from "./PuzzlePanel";
+import ReviewPanel from "./ReviewPanel";
+import RulesPanel from "./RulesPanel";
+import TutorialPanel from "./TutorialPanel";
+import useOnlineMatch from "./useOnlineMatch";
+import usePeerMatch from "./usePeerMatch";
+import { requestComputerMove, requestHint } from "./aiClient";
+import { AI_DIFFICULTIES, DEFAULT_AI_DIFFICULTY, normalizeDifficulty } from "./aiPlayer";
+import { stopAmbientMusic, updateAmbientMusic } from "./ambientMusic";
 import {
+  LOW_TIME_MS,
+  createClock,
+  describeTimeControl,
+  getFlaggedPlayer,
+  getRemainingMs,
+  normalizeTimeControl,
+  pauseClock,
+  resumeClock,
+  syncClock,
+} from "./gameClock";
+import {
+  createInitialGameState,
+  getAllowedBoardIndexes,
+  indexToCoords,
+  applyRecordedMove,
+  chooseNextBoard,
+  forfeitOnTime,
+  makeMove,
+  markLastMoveHinted,
+  normalizeSize,
+  replayMoves,
+} from "./gameLogic";
+import { describeRules, isClassicRules, normalizeRulesInput } from "./gameRules";
+import { useReducedMotion } from "./graphicsQuality";
+import { countHints } from "./moveHints";
+import {
+  COMPUTER_RATINGS,
+  createProfile,
+  getProfile,
+  normalizeProfileName,
+  recordGameResult,
+} from "./playerProfiles";
+import { savePersistedData } from "./persistence";
+import { analyzePosition, previewMove } from "./positionAnalysis";
+import starterPuzzlePack from "./puzzleStarterPack.json";
+import {
+  createPuzzleGame,
+  getDailyPuzzleIndex,
+  getDateKey,
+  getPuzzleKey,
+  getPuzzlePoints,
+  loadPuzzlePack,
+  playPuzzleMove,
+  recordPuzzleMistake,
+  recordPuzzleSolve,
+} from "./puzzles";
+import { resolveRenderer } from "./rendererSupport";
+import { getTheme } from "./themes";
+import { TUTORIAL_LESSONS, checkLessonMove, createLessonGame } from "./tutorial";
+import {
+  createNextGameEntry,
+  duplicateGameEntry,
+  hydrateOpponent,
+  startNewRound,
+} from "./gameStore";
+import {
+  applyAudioSettings,
+  getColumnPan,
+  getRowDetune,
+  normalizeAudioSettings,
+  playClockTickSfx,
   playDrawSfx,
   playInterTurnSfx,
   playInvalidSfx,
   playLocalWinSfx,
+  playLowTimeSfx,
   playOMoveSfx,
   playSuperWinSfx,
+  playTimeoutSfx,
   playXMoveSfx,
 } from "./soundEffects";
 
-const FIXED_SIZE = 3;
-const STORAGE_KEY = "super-ttt-focused-v1";
-const LEGACY_STORE_KEY = "super-tic-tac-toe-save-v1";
+// The 3D board pulls in three.js, so devices on the 2D renderer never download it.
+const Board3D = lazy(() => import("./Board3D"));
 
-const isMarker = (value) => value === "X" || value === "O";
+const BOARD_SIZE_OPTIONS = [2, 3, 4, 5, 6];
+const STARTER_PUZZLE_PACK = loadPuzzlePack(starterPuzzlePack).pack;
+const CLOCK_TICK_MS = 100;
+const URGENT_TIME_SECONDS = 5;
 
-const countMoves = (boards) =>
-  boards.reduce(
-    (total, board) => total + board.cells.reduce((boardTotal, marker) => boardTotal + (marker ? 1 : 0), 0),
-    0,
+// New games use the picked size, kept within the sizes the picker offers.
+const getNewGameSize = (sizeInput) =>
+  Math.min(
+    Math.max(normalizeSize(sizeInput), BOARD_SIZE_OPTIONS[0]),
+    BOARD_SIZE_OPTIONS[BOARD_SIZE_OPTIONS.length - 1],
   );
 
-const coerceToClassicGame = (rawGame) => {
-  const base = createInitialGameState(FIXED_SIZE);
-  if (
-    !rawGame ||
-    rawGame.size !== FIXED_SIZE ||
-    !Array.isArray(rawGame.boards) ||
-    rawGame.boards.length !== FIXED_SIZE * FIXED_SIZE
-  ) {
-    return base;
+const DEFAULT_OPPONENT = { type: "human", computerPlayer: "O", difficulty: DEFAULT_AI_DIFFICULTY };
+
+// Profiles can only sit on sides played from this device: not the computer's side, and only
+// the local seat of a networked game.
+const getLocalSides = (opponent) => {
+  if (opponent.type === "computer") {
+    return [opponent.computerPlayer === "X" ? "O" : "X"];
   }
+  if (opponent.type === "online" || opponent.type === "peer") {
+    return opponent.side ? [opponent.side] : [];
+  }
+  return ["X", "O"];
+};
 
-  const boards = Array.from({ length: FIXED_SIZE * FIXED_SIZE }, (_, boardIndex) => {
-    const rawBoard = rawGame.boards[boardIndex];
-    const cells = Array.from({ length: FIXED_SIZE * FIXED_SIZE }, (_, cellIndex) => {
-      const value = rawBoard?.cells?.[cellIndex];
-      return isMarker(value) ? value : null;
-    });
-    const winner = isMarker(rawBoard?.winner) ? rawBoard.winner : null;
+const createLibraryEntry = (size, rules, games, timeControl = null) => ({
+  ...createNextGameEntry(size, games, rules, timeControl),
+  opponent: DEFAULT_OPPONENT,
+});
 
-    return {
-      cells,
-      winner,
-      isDraw: !winner && Boolean(rawBoard?.isDraw),
-    };
+const getActiveEntry = (library) =>
+  library.games.find((entry) => entry.id === library.activeGameId) ?? library.games[0];
+
+const updateActiveEntry = (library, update) => {
+  const activeId = getActiveEntry(library).id;
+  return {
+    ...library,
+    games: library.games.map((entry) => (entry.id === activeId ? update(entry) : entry)),
+  };
+};
+
+const toSession = (library, entry) => ({
+  game: entry.gameState,
+  redoMoves: entry.redoMoves ?? [],
+  opponent: entry.opponent ?? DEFAULT_OPPONENT,
+  clock: entry.clock ?? null,
+  audio: library.audio,
+});
+
+// Only the game on screen spends time: every other game's clock is paused with its time
+// settled, and the shown game's clock picks up from where it stopped.
+const settleClocks = (library, runningGameId, now = Date.now()) => {
+  let changed = false;
+  const games = library.games.map((entry) => {
+    const clock =
+      entry.id === runningGameId ? resumeClock(entry.clock, now) : pauseClock(entry.clock, now);
+    if (clock === entry.clock) {
+      return entry;
+    }
+    changed = true;
+    return { ...entry, clock };
   });
+  return changed ? { ...library, games } : library;
+};
 
-  const moveCount =
-    Number.isInteger(rawGame.moveCount) && rawGame.moveCount >= 0 ? rawGame.moveCount : countMoves(boards);
-  const nextBoardIndex =
-    Number.isInteger(rawGame.nextBoardIndex) &&
-    rawGame.nextBoardIndex >= 0 &&
-    rawGame.nextBoardIndex < FIXED_SIZE * FIXED_SIZE
-      ? rawGame.nextBoardIndex
-      : null;
+const boardLabel = (boardIndex, size) => {
+  const { row, col } = indexToCoords(boardIndex, size);
+  return `(${row + 1}, ${col + 1})`;
+};
 
-  const hasLastMove =
-    Number.isInteger(rawGame?.lastMove?.boardIndex) &&
-    Number.isInteger(rawGame?.lastMove?.cellIndex) &&
-    isMarker(rawGame?.lastMove?.player);
+const undoOneMove = (session) => {
+  const moves = session.game.moves;
+  const undoneMove = moves[moves.length - 1];
+  const rebuilt = undoneMove
+    ? replayMoves(session.game.size, moves.slice(0, -1), session.game.rules)
+    : null;
+  if (!rebuilt) {
+    return null;
+  }
 
   return {
-    ...base,
-    boards,
-    moveCount,
-    currentPlayer: rawGame.currentPlayer === "O" ? "O" : "X",
-    nextBoardIndex,
-    winner: isMarker(rawGame.winner) ? rawGame.winner : null,
-    isDraw: !isMarker(rawGame.winner) && Boolean(rawGame.isDraw),
-    lastMove: hasLastMove
-      ? {
-          boardIndex: rawGame.lastMove.boardIndex,
-          cellIndex: rawGame.lastMove.cellIndex,
-          player: rawGame.lastMove.player,
-          moveNumber:
-            Number.isInteger(rawGame.lastMove.moveNumber) && rawGame.lastMove.moveNumber >= 0
-              ? rawGame.lastMove.moveNumber
-              : moveCount,
-          timestamp:
-            Number.isFinite(rawGame.lastMove.timestamp) && rawGame.lastMove.timestamp > 0
-              ? rawGame.lastMove.timestamp
-              : Date.now(),
-        }
-      : null,
+    ...session,
+    game: rebuilt,
+    redoMoves: [...session.redoMoves, undoneMove],
   };
 };
 
-const loadSession = () => {
-  const defaultSession = { game: createInitialGameState(FIXED_SIZE), soundEnabled: true };
-  if (typeof window === "undefined" || typeof window.localStorage === "undefined") {
-    return defaultSession;
+const redoOneMove = (session) => {
+  const redoneMove = session.redoMoves[session.redoMoves.length - 1];
+  if (!redoneMove) {
+    return null;
   }
 
-  try {
-    const focusedRaw = window.localStorage.getItem(STORAGE_KEY);
-    if (focusedRaw) {
-      const parsed = JSON.parse(focusedRaw);
-      return {
-        game: coerceToClassicGame(parsed?.game),
-        soundEnabled: parsed?.soundEnabled !== false,
-      };
-    }
+  const nextGame = applyRecordedMove(session.game, redoneMove);
+  if (nextGame === session.game) {
+    return { ...session, redoMoves: [] };
+  }
 
-    const legacyRaw = window.localStorage.getItem(LEGACY_STORE_KEY);
-    if (!legacyRaw) {
-      return defaultSession;
-    }
+  return {
+    ...session,
+    game: nextGame,
+    redoMoves: session.redoMoves.slice(0, -1),
+  };
+};
 
-    const parsedLegacy = JSON.parse(legacyRaw);
-    if (!Array.isArray(parsedLegacy?.games) || parsedLegacy.games.length === 0) {
-      return defaultSession;
-    }
+// Size and rules are part of the key: a joiner's fresh game has the same empty move log as the
+// host's, but may have been created with a different setup.
+const getMoveLogKey = (game) =>
+  JSON.stringify([game.size, game.rules, game.moves, game.boardChoicePending]);
 
-    const activeLegacyGame =
-      parsedLegacy.games.find((entry) => entry?.id === parsedLegacy.activeGameId)?.gameState ??
-      parsedLegacy.games[0]?.gameState;
+// Move and capture sounds pan toward the column and rise or fall with the row of the cell
+// just played, on any board size.
+const playMoveFeedback = (previousGame, nextGame, audio) => {
+  const playedBy = nextGame.lastMove?.player ?? previousGame.currentPlayer;
+  const { boardIndex, cellIndex } = nextGame.lastMove ?? {};
+  const pan = getColumnPan(nextGame.size, boardIndex, cellIndex);
+  const detune = getRowDetune(nextGame.size, boardIndex, cellIndex);
+  if (playedBy === "X") {
+    playXMoveSfx(audio, pan, detune);
+  } else {
+    playOMoveSfx(audio, pan, detune);
+  }
 
-    return {
-      game: coerceToClassicGame(activeLegacyGame),
-      soundEnabled: parsedLegacy?.soundEnabled !== false,
-    };
-  } catch {
-    return defaultSession;
+  const capturedLocalBoard = nextGame.boards.some((nextBoard, index) => {
+    const previousBoard = previousGame.boards[index];
+    return !previousBoard.winner && Boolean(nextBoard.winner);
+  });
+
+  if (!previousGame.winner && nextGame.winner) {
+    playSuperWinSfx(audio);
+  } else if (!previousGame.isDraw && nextGame.isDraw) {
+    playDrawSfx(audio);
+  } else if (capturedLocalBoard) {
+    playLocalWinSfx(audio, pan, detune);
   }
+
+  if (!nextGame.winner && !nextGame.isDraw) {
+    playInterTurnSfx(audio);
+  }
+};
+
+// Shortcuts leave typing alone: Ctrl+Z and the arrow keys keep their text-editing meaning in
+// name fields, record text and selects.
+const isEditableTarget = (target) =>
+  Boolean(target?.isContentEditable) ||
+  ["INPUT", "TEXTAREA", "SELECT"].includes(target?.tagName);
+
+const isComputerToMove = (session) =>
+  session.opponent.type === "computer" &&
+  !session.game.winner &&
+  !session.game.isDraw &&
+  session.game.currentPlayer === session.opponent.computerPlayer;
+
+const describeHint = (hint, size) => {
+  const target = Number.isInteger(hint.sendBoardIndex)
+    ? `send ${hint.player === "X" ? "O" : "X"} to board ${boardLabel(hint.sendBoardIndex, size)}`
+    : `board ${boardLabel(hint.boardIndex, size)}, cell ${boardLabel(hint.cellIndex, size)}`;
+  return `Hint for ${hint.player}: ${target} — ${hint.reasons.join(", ")}.`;
 };
 
-const saveSession = (session) => {
-  if (typeof window === "undefined" || typeof window.localStorage === "undefined") {
-    return;
+const describeGameMode = ({ size, rules }) => {
+  if (size === 3 && isClassicRules(rules, size)) {
+    return "Classic mode: 9 local boards";
   }
-  const payload = {
-    game: session.game,
-    soundEnabled: session.soundEnabled,
-  };
-  window.localStorage.setItem(STORAGE_KEY, JSON.stringify(payload));
+  return `${size}×${size} mode: ${size * size} local boards • ${describeRules(rules, size)}`;
 };
 
-const boardLabel = (boardIndex, size) => {
-  const { row, col } = indexToCoords(boardIndex, size);
-  return `(${row + 1}, ${col + 1})`;
+const countBoardsWon = (game, player) => game.boards.filter((board) => board.winner === player).length;
+
+const describePosition = (game, allowedBoards) => {
+  if (game.winner && game.winReason === "timeout") {
+    return `Player ${game.timedOutPlayer} ran out of time. Player ${game.winner} wins!`;
+  }
+
+  if (game.winner && game.winReason === "most-boards") {
+    const loser = game.winner === "X" ? "O" : "X";
+    const tally = `${countBoardsWon(game, game.winner)}–${countBoardsWon(game, loser)}`;
+    return `Player ${game.winner} wins on local boards (${tally})!`;
+  }
+
+  if (game.winner) {
+    return `Player ${game.winner} wins!`;
+  }
+
+  if (game.boardChoicePending) {
+    const opponent = game.currentPlayer === "X" ? "O" : "X";
+    return `Player ${game.currentPlayer}: pick the board ${opponent} must play.`;
+  }
+
+  if (game.isDraw) {
+    return "Draw game.";
+  }
+
+  if (allowedBoards.length === 1) {
+    return `Player ${game.currentPlayer} must play board ${boardLabel(allowedBoards[0], game.size)}.`;
+  }
+
+  return `Player ${game.currentPlayer}: play in any open board.`;
 };
 
-const App = () => {
-  const [session, setSession] = useState(() => loadSession());
+const App = ({ initialData }) => {
+  const [library, setLibrary] = useState(initialData.library);
+  const [profileStore, setProfileStore] = useState(initialData.profiles);
+  const [saveProblem, setSaveProblem] = useState(null);
+  const session = useMemo(() => toSession(library, getActiveEntry(library)), [library]);
+  const [activePanel, setActivePanel] = useState(null);
+  const [review, setReview] = useState(null);
+  // The tutorial plays on its own scripted position and leaves the saved game untouched.
+  const [tutorial, setTutorial] = useState(null);
+  // Puzzles work the same way; a pack loaded by the player lasts until the page is reloaded.
+  const [puzzle, setPuzzle] = useState(null);
+  const [puzzlePack, setPuzzlePack] = useState(STARTER_PUZZLE_PACK);
+  const [webglFailed, setWebglFailed] = useState(false);
   const game = session.game;
+  const renderer = webglFailed ? "2d" : resolveRenderer(library.rendererMode);
+  const reducedMotion = useReducedMotion(library.motionMode);
+  const theme = getTheme(library.themeId);
+
+  const reviewGame = useMemo(
+    () =>
+      review ? replayMoves(review.size, review.moves.slice(0, review.cursor), review.rules) : null,
+    [review],
+  );
+  const displayedGame = tutorial?.game ?? puzzle?.game ?? reviewGame ?? game;
+  const boardReadOnly = Boolean(review) || Boolean(tutorial?.solved) || Boolean(puzzle?.solved);
+  const allowedBoards = useMemo(() => getAllowedBoardIndexes(displayedGame), [displayedGame]);
+
+  // The game produced by the move just played here. Capture and win effects only play for it,
+  // not when a finished game is opened, switched to, undone or redone.
+  const liveMoveGameRef = useRef(null);
+  useEffect(() => {
+    if (displayedGame !== liveMoveGameRef.current) {
+      liveMoveGameRef.current = null;
+    }
+  }, [displayedGame]);
+  const [hoveredCell, setHoveredCell] = useState(null);
+  // A hint belongs to the position it was asked for and disappears once that position changes.
+  const [hint, setHint] = useState(null);
+  const [hintPending, setHintPending] = useState(false);
+  const activeHint =
+    hint && !review && !tutorial && !puzzle && hint.game === game ? hint : null;
+  const hintCounts = useMemo(() => countHints(displayedGame), [displayedGame]);
+  const analysis = useMemo(
+    () => (library.analysisEnabled ? analyzePosition(displayedGame) : null),
+    [displayedGame, library.analysisEnabled],
+  );
+  const movePreview = useMemo(
+    () =>
+      analysis && hoveredCell
+        ? previewMove(displayedGame, hoveredCell.boardIndex, hoveredCell.cellIndex)
+        : null,
+    [analysis, displayedGame, hoveredCell],
+  );
+  const handleCellHover = useCallback(
+    (boardIndex, cellIndex) =>
+      setHoveredCell(boardIndex === null ? null : { boardIndex, cellIndex }),
+    [],
+  );
 
-  const allowedBoards = useMemo(() => getAllowedBoardIndexes(game), [game]);
+  useEffect(() => {
+    let current = true;
+    savePersistedData({ library, profiles: profileStore }).then((result) => {
+      if (current) {
+        setSaveProblem(result?.message ?? null);
+      }
+    });
+    return () => {
+      current = false;
+    };
+  }, [library, profileStore]);
 
+  // HUD colours switch through the CSS variables scoped to this attribute in styles.css.
   useEffect(() => {
-    saveSession(session);
-  }, [session]);
+    document.documentElement.dataset.theme = library.themeId;
+  }, [library.themeId]);
 
-  const statusText = useMemo(() => {
-    if (game.winner) {
-      return `Player ${game.winner} wins!`;
+  useEffect(() => {
+    applyAudioSettings(library.audio);
+  }, [library.audio]);
+
+  useEffect(() => {
+    updateAmbientMusic(displayedGame, library.audio);
+  }, [displayedGame, library.audio]);
+
+  useEffect(() => stopAmbientMusic, []);
+
+  // Session updates target the active library entry; only game changes bump its updatedAt.
+  // Every game change also hands the clock to whoever is now on turn.
+  const setSession = useCallback((updater) => {
+    setLibrary((current) => {
+      const activeEntry = getActiveEntry(current);
+      const previous = toSession(current, activeEntry);
+      const updated = updater(previous);
+      if (updated === previous) {
+        return current;
+      }
+
+      const next =
+        updated.game !== previous.game
+          ? { ...updated, clock: syncClock(updated.clock, updated.game) }
+          : updated;
+      const entryChanged =
+        next.game !== previous.game ||
+        next.redoMoves !== previous.redoMoves ||
+        next.opponent !== previous.opponent ||
+        next.clock !== previous.clock;
+
+      return {
+        ...current,
+        games: entryChanged
+          ? current.games.map((entry) =>
+              entry.id === activeEntry.id
+                ? {
+                    ...entry,
+                    gameState: next.game,
+                    redoMoves: next.redoMoves,
+                    opponent: next.opponent,
+                    clock: next.clock,
+                    updatedAt: Date.now(),
+                  }
+                : entry,
+            )
+          : current.games,
+      };
+    });
+  }, []);
+
+  const handleCreateGame = () => {
+    setReview(null);
+    setLibrary((current) => {
+      const entry = createLibraryEntry(
+        getNewGameSize(current.sizeInput),
+        current.rulesInput,
+        current.games,
+        current.timeControlInput,
+      );
+      // A new game keeps the same players, ready for a rematch.
+      const players = getActiveEntry(current).players ?? entry.players;
+      return {
+        ...current,
+        activeGameId: entry.id,
+        games: [...current.games, { ...entry, players }],
+      };
+    });
+  };
+
+  const handleSelectGame = (gameId) => {
+    setReview(null);
+    setLibrary((current) => ({ ...current, activeGameId: gameId }));
+  };
+
+  const handleRenameGame = (gameId, name) => {
+    const trimmed = name.trim();
+    if (!trimmed) {
+      return;
+    }
+
+    setLibrary((current) => ({
+      ...current,
+      games: current.games.map((entry) =>
+        entry.id === gameId ? { ...entry, name: trimmed, updatedAt: Date.now() } : entry,
+      ),
+    }));
+  };
+
+  const handleDuplicateGame = (gameId) => {
+    setReview(null);
+    setLibrary((current) => {
+      const source = current.games.find((entry) => entry.id === gameId);
+      if (!source) {
+        return current;
+      }
+      const duplicate = duplicateGameEntry(source, current.games);
+      // A copy of a networked game continues offline; the seat stays with the original.
+      const copy =
+        duplicate.opponent?.type === "online" || duplicate.opponent?.type === "peer"
+          ? { ...duplicate, opponent: DEFAULT_OPPONENT }
+          : duplicate;
+      return { ...current, activeGameId: copy.id, games: [...current.games, copy] };
+    });
+  };
+
+  const handleDeleteGame = (gameId) => {
+    setReview(null);
+    setLibrary((current) => {
+      const remaining = current.games.filter((entry) => entry.id !== gameId);
+      const games =
+        remaining.length > 0
+          ? remaining
+          : [
+              createLibraryEntry(
+                getNewGameSize(current.sizeInput),
+                current.rulesInput,
+                [],
+                current.timeControlInput,
+              ),
+            ];
+      const activeGameId = games.some((entry) => entry.id === current.activeGameId)
+        ? current.activeGameId
+        : games[0].id;
+      return { ...current, activeGameId, games };
+    });
+  };
+
+  const activeEntry = getActiveEntry(library);
+  const localSides = getLocalSides(session.opponent);
+  const seatedPlayers = {
+    X: localSides.includes("X") ? activeEntry.players?.X ?? null : null,
+    O: localSides.includes("O") ? activeEntry.players?.O ?? null : null,
+  };
+
+  const handleAssignPlayer = (side, profileId) => {
+    setLibrary((current) => ({
+      ...current,
+      games: current.games.map((entry) =>
+        entry.id === current.activeGameId && entry.gameState.moves.length === 0
+          ? { ...entry, players: { ...entry.players, [side]: profileId } }
+          : entry,
+      ),
+    }));
+  };
+
+  const handleCreateProfile = (name) => {
+    const profile = createProfile(name);
+    setProfileStore((current) => ({ ...current, profiles: [...current.profiles, profile] }));
+  };
+
+  const handleRenameProfile = (profileId, name) => {
+    const trimmed = normalizeProfileName(name);
+    if (!trimmed) {
+      return;
     }
+    setProfileStore((current) => ({
+      ...current,
+      profiles: current.profiles.map((profile) =>
+        profile.id === profileId ? { ...profile, name: trimmed } : profile,
+      ),
+    }));
+  };
+
+  const handleDeleteProfile = (profileId) => {
+    setProfileStore((current) => ({
+      ...current,
+      profiles: current.profiles.filter((profile) => profile.id !== profileId),
+    }));
+  };
 
-    if (game.isDraw) {
-      return "Draw game.";
+  // Results only count for games that ended on a move, flag or remote move played here; a game
+  // that arrives finished through import, review, undo/redo or an old save is never recorded.
+  const liveFinishedGamesRef = useRef(new WeakSet());
+  const noteLiveMove = (nextGame) => {
+    liveMoveGameRef.current = nextGame;
+    if (nextGame.winner || nextGame.isDraw) {
+      liveFinishedGamesRef.current.add(nextGame);
     }
+    return nextGame;
+  };
 
-    if (allowedBoards.length === 1) {
-      return `Player ${game.currentPlayer} must play board ${boardLabel(allowedBoards[0], game.size)}.`;
+  // Each round is recorded once; the entry flag survives undo, redo and duplication, and
+  // restarting or importing starts a new round.
+  useEffect(() => {
+    if (!liveFinishedGamesRef.current.has(game) || activeEntry.resultRecorded) {
+      return;
+    }
+    if (!seatedPlayers.X && !seatedPlayers.O) {
+      return;
     }
 
-    return `Player ${game.currentPlayer}: play in any open board.`;
-  }, [allowedBoards, game.currentPlayer, game.isDraw, game.size, game.winner]);
+    const { type, computerPlayer, difficulty } = session.opponent;
+    setProfileStore((current) =>
+      recordGameResult(current, {
+        gameId: activeEntry.roundId,
+        game,
+        players: seatedPlayers,
+        opponentRatings: type === "computer" ? { [computerPlayer]: COMPUTER_RATINGS[difficulty] } : {},
+      }),
+    );
+    setLibrary((current) => ({
+      ...current,
+      games: current.games.map((entry) =>
+        entry.id === activeEntry.id ? { ...entry, resultRecorded: true } : entry,
+      ),
+    }));
+  }, [
+    activeEntry.id,
+    activeEntry.resultRecorded,
+    activeEntry.roundId,
+    game,
+    seatedPlayers.O,
+    seatedPlayers.X,
+    session.opponent,
+  ]);
 
-  const handleCellClick = (boardIndex, cellIndex) => {
-    const nextGame = makeMove(game, boardIndex, cellIndex);
-    if (nextGame === game) {
-      playInvalidSfx(session.soundEnabled);
+  const computerToMove = !review && !tutorial && !puzzle && isComputerToMove(session);
+  const isOnline = session.opponent.type === "online";
+  const isPeer = session.opponent.type === "peer";
+
+  // Positions from the relay or peer replace the local game only when its setup or move log
+  // differs, so the echo of our own move is a no-op and remote moves get the usual sound feedback.
+  const handleRemoteGame = (nextGame) => {
+    if (getMoveLogKey(nextGame) === getMoveLogKey(game)) {
       return;
     }
 
-    const playedBy = nextGame.lastMove?.player ?? game.currentPlayer;
-    if (playedBy === "X") {
-      playXMoveSfx(session.soundEnabled);
-    } else {
-      playOMoveSfx(session.soundEnabled);
+    if (nextGame.moves.length === game.moves.length + 1) {
+      noteLiveMove(nextGame);
+    }
+    if (nextGame.moves.length > game.moves.length) {
+      playMoveFeedback(game, nextGame, session.audio);
+    } else if (game.boardChoicePending && !nextGame.boardChoicePending) {
+      playInterTurnSfx(session.audio);
     }
 
-    const capturedLocalBoard = nextGame.boards.some((nextBoard, index) => {
-      const previousBoard = game.boards[index];
-      return !previousBoard.winner && Boolean(nextBoard.winner);
-    });
+    setSession((current) =>
+      getMoveLogKey(current.game) === getMoveLogKey(nextGame)
+        ? current
+        : { ...current, game: nextGame, redoMoves: [] },
+    );
+  };
+
+  const handleSeat = (seat) =>
+    setSession((current) => ({ ...current, opponent: { ...current.opponent, ...seat } }));
+
+  const online = useOnlineMatch({
+    entryId: getActiveEntry(library).id,
+    opponent: session.opponent,
+    game,
+    onGame: handleRemoteGame,
+    onSeat: handleSeat,
+  });
+
+  const peer = usePeerMatch({
+    entryId: getActiveEntry(library).id,
+    opponent: session.opponent,
+    game,
+    onGame: handleRemoteGame,
+    onSide: (side) => handleSeat({ side }),
+  });
+
+  // Networked games only accept clicks for the local side while the link is up.
+  const remoteMatch = isOnline ? online : isPeer ? peer : null;
+  const isNetworked = remoteMatch !== null;
+  const remoteLinked = isNetworked && remoteMatch.status === "open" && Boolean(session.opponent.side);
+  const waitingOnRemote =
+    !review &&
+    isNetworked &&
+    (!remoteLinked ||
+      (!game.winner && !game.isDraw && game.currentPlayer !== session.opponent.side));
+
+  const statusText = useMemo(() => {
+    if (tutorial) {
+      const lesson = TUTORIAL_LESSONS[tutorial.lessonIndex];
+      return `Tutorial • ${tutorial.solved ? "Solved!" : lesson.task}`;
+    }
+
+    if (puzzle) {
+      const { toMove, movesToWin } = puzzlePack.puzzles[puzzle.puzzleIndex];
+      return `Puzzle • ${puzzle.solved ? "Solved!" : `${toMove} to move and win in ${movesToWin}`}`;
+    }
+
+    if (review) {
+      return `Review • move ${review.cursor} of ${review.moves.length}: ${describePosition(
+        displayedGame,
+        allowedBoards,
+      )}`;
+    }
 
-    if (!game.winner && nextGame.winner) {
-      playSuperWinSfx(session.soundEnabled);
-    } else if (!game.isDraw && nextGame.isDraw) {
-      playDrawSfx(session.soundEnabled);
-    } else if (capturedLocalBoard) {
-      playLocalWinSfx(session.soundEnabled);
+    if (computerToMove) {
+      return `Computer (${displayedGame.currentPlayer}) is thinking…`;
     }
 
-    if (!nextGame.winner && !nextGame.isDraw) {
-      playInterTurnSfx(session.soundEnabled);
+    if (isNetworked && !remoteLinked) {
+      return isOnline
+        ? "Connecting to the online room…"
+        : "Not linked: open Peer to connect with the other player.";
     }
 
+    if (waitingOnRemote) {
+      return `Waiting for ${displayedGame.currentPlayer} to move…`;
+    }
+
+    return describePosition(displayedGame, allowedBoards);
+  }, [
+    allowedBoards,
+    computerToMove,
+    displayedGame,
+    isNetworked,
+    isOnline,
+    puzzle,
+    puzzlePack,
+    remoteLinked,
+    review,
+    tutorial,
+    waitingOnRemote,
+  ]);
+
+  const playMove = (boardIndex, cellIndex) => {
+    const movedGame = makeMove(game, boardIndex, cellIndex);
+    if (movedGame === game) {
+      playInvalidSfx(session.audio, getColumnPan(game.size, boardIndex, cellIndex));
+      return null;
+    }
+    const nextGame = noteLiveMove(activeHint ? markLastMoveHinted(movedGame) : movedGame);
+
+    playMoveFeedback(game, nextGame, session.audio);
     setSession((current) => ({
       ...current,
       game: nextGame,
+      redoMoves: [],
     }));
+    return nextGame;
   };
 
-  const handleRestart = () => {
+  const playBoardChoice = (boardIndex) => {
+    const chosenGame = chooseNextBoard(game, boardIndex);
+    if (chosenGame === game) {
+      playInvalidSfx(session.audio, getColumnPan(game.size, boardIndex));
+      return null;
+    }
+    const nextGame = activeHint ? markLastMoveHinted(chosenGame) : chosenGame;
+
+    playInterTurnSfx(session.audio);
+    setSession((current) => ({
+      ...current,
+      game: nextGame,
+      redoMoves: [],
+    }));
+    return nextGame;
+  };
+
+  const handleTutorialMove = (boardIndex, cellIndex) => {
+    if (tutorial.solved) {
+      return;
+    }
+
+    const lesson = TUTORIAL_LESSONS[tutorial.lessonIndex];
+    const result = checkLessonMove(lesson, tutorial.game, boardIndex, cellIndex);
+    if (result.status !== "solved") {
+      playInvalidSfx(session.audio);
+      setTutorial((current) => ({
+        ...current,
+        feedback: { kind: "error", text: result.message },
+      }));
+      return;
+    }
+
+    noteLiveMove(result.game);
+    playMoveFeedback(tutorial.game, result.game, session.audio);
+    setTutorial((current) => ({
+      ...current,
+      game: result.game,
+      solved: true,
+      feedback: { kind: "ok", text: result.message },
+    }));
+    setLibrary((current) =>
+      current.tutorialProgress.includes(lesson.id)
+        ? current
+        : { ...current, tutorialProgress: [...current.tutorialProgress, lesson.id] },
+    );
+  };
+
+  const handlePuzzleMove = (boardIndex, cellIndex) => {
+    if (puzzle.solved) {
+      return;
+    }
+
+    const current = puzzlePack.puzzles[puzzle.puzzleIndex];
+    const result = playPuzzleMove(current, puzzle.game, puzzle.played, boardIndex, cellIndex);
+    if (result.status === "illegal" || result.status === "wrong") {
+      playInvalidSfx(session.audio);
+      if (result.status === "wrong" && puzzle.mistakes === 0) {
+        setLibrary((state) => ({ ...state, puzzleStats: recordPuzzleMistake(state.puzzleStats) }));
+      }
+      setPuzzle((state) => ({
+        ...state,
+        mistakes: state.mistakes + (result.status === "wrong" ? 1 : 0),
+        feedback: {
+          kind: "error",
+          text:
+            result.status === "wrong"
+              ? "That does not force the win. Try again."
+              : "That move is not legal here.",
+        },
+      }));
+      return;
+    }
+
+    noteLiveMove(result.game);
+    playMoveFeedback(puzzle.game, result.game, session.audio);
+    if (result.status === "continue") {
+      const defender = current.toMove === "X" ? "O" : "X";
+      setPuzzle((state) => ({
+        ...state,
+        game: result.game,
+        played: result.played,
+        feedback: { kind: "ok", text: `Good. ${defender} replied; keep going.` },
+      }));
+      return;
+    }
+
+    const key = getPuzzleKey(puzzlePack, current);
+    const clean = puzzle.mistakes === 0;
+    const firstSolve = !library.puzzleStats.solved.includes(key);
+    setPuzzle((state) => ({
+      ...state,
+      game: result.game,
+      played: result.played,
+      solved: true,
+      feedback: {
+        kind: "ok",
+        text: firstSolve
+          ? `Solved! +${getPuzzlePoints(current.movesToWin, clean)} points.`
+          : "Solved again. Points are only scored the first time.",
+      },
+    }));
+    setLibrary((state) => ({
+      ...state,
+      puzzleStats: recordPuzzleSolve(state.puzzleStats, {
+        key,
+        movesToWin: current.movesToWin,
+        clean,
+        dailyDate: puzzle.daily,
+      }),
+    }));
+  };
+
+  const handleCellClick = (boardIndex, cellIndex) => {
+    if (tutorial) {
+      handleTutorialMove(boardIndex, cellIndex);
+      return;
+    }
+
+    if (puzzle) {
+      handlePuzzleMove(boardIndex, cellIndex);
+      return;
+    }
+
+    if (review || computerToMove || waitingOnRemote) {
+      playInvalidSfx(session.audio);
+      return;
+    }
+
+    const player = game.currentPlayer;
+    if (game.boardChoicePending) {
+      const nextGame = playBoardChoice(boardIndex);
+      if (nextGame && isNetworked) {
+        remoteMatch.sendAction({ type: "choose", sendBoardIndex: boardIndex, player });
+      }
+      return;
+    }
+
+    const nextGame = playMove(boardIndex, cellIndex);
+    if (nextGame && isNetworked) {
+      remoteMatch.sendAction({
+        type: "move",
+        boardIndex,
+        cellIndex,
+        player,
+        timestamp: nextGame.lastMove.timestamp,
+      });
+    }
+  };
+
+  useEffect(() => {
+    if (!computerToMove) {
+      return undefined;
+    }
+
+    let cancelled = false;
+    requestComputerMove(game, session.opponent.difficulty).then((move) => {
+      if (cancelled || !move) {
+        return;
+      }
+      if (Number.isInteger(move.sendBoardIndex)) {
+        playBoardChoice(move.sendBoardIndex);
+      } else {
+        playMove(move.boardIndex, move.cellIndex);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+    // playMove is recreated each render; the request only depends on the position and settings.
+  }, [computerToMove, game, session.opponent.difficulty]);
+
+  // Networked games follow a shared move log and timed games a running clock; neither has
+  // take-backs.
+  const canTakeBack = !review && !tutorial && !puzzle && !isNetworked && !session.clock;
+  const canUndo = canTakeBack && game.moves.length > 0;
+  const canRedo = canTakeBack && session.redoMoves.length > 0;
+  const canHint =
+    !review &&
+    !tutorial &&
+    !puzzle &&
+    !computerToMove &&
+    !isNetworked &&
+    !game.winner &&
+    !game.isDraw;
+
+  // The hint is worked out in the search worker; one that arrives after the position changed
+  // is dropped by the `hint.game === game` check.
+  const handleHint = () => {
+    if (!canHint || hintPending) {
+      return;
+    }
+    setHintPending(true);
+    requestHint(game).then((suggestion) => {
+      setHintPending(false);
+      if (suggestion) {
+        setHint({ ...suggestion, game });
+      }
+    });
+  };
+
+  // Against the computer, undo/redo step over its replies so the human is back on move.
+  const handleUndo = () => {
+    if (!canUndo) {
+      return;
+    }
+
+    setSession((current) => {
+      let next = undoOneMove(current);
+      while (next && isComputerToMove(next) && next.game.moves.length > 0) {
+        next = undoOneMove(next);
+      }
+      return next ?? current;
+    });
+  };
+
+  const handleRedo = () => {
+    if (!canRedo) {
+      return;
+    }
+
+    setSession((current) => {
+      let next = redoOneMove(current);
+      while (next && isComputerToMove(next) && next.redoMoves.length > 0) {
+        next = redoOneMove(next);
+      }
+      return next ?? current;
+    });
+  };
+
+  const recordOptions = useMemo(() => {
+    const { type, computerPlayer, difficulty } = session.opponent;
+    const computerName = `Computer (${difficulty})`;
+    const modes = {
+      computer: "Single-player",
+      online: "Online",
+      peer: "Peer-to-peer",
+      human: "Hot-seat",
+    };
+    const playerName = (side) => {
+      if (type === "computer" && computerPlayer === side) {
+        return computerName;
+      }
+      return getProfile(profileStore, seatedPlayers[side])?.name ?? `Player ${side}`;
+    };
+    return {
+      playerX: playerName("X"),
+      playerO: playerName("O"),
+      mode: modes[type] ?? modes.human,
+    };
+  }, [profileStore, seatedPlayers.O, seatedPlayers.X, session.opponent]);
+
+  const getUnsupportedSizeError = (size) =>
+    BOARD_SIZE_OPTIONS.includes(size)
+      ? null
+      : `Board size ${size} is not supported (${BOARD_SIZE_OPTIONS[0]} to ${
+          BOARD_SIZE_OPTIONS[BOARD_SIZE_OPTIONS.length - 1]
+        }).`;
+
+  const handleImportRecord = ({ game: importedGame }) => {
+    if (isNetworked) {
+      return "Leave the networked game before importing into it.";
+    }
+
+    const sizeError = getUnsupportedSizeError(importedGame.size);
+    if (sizeError) {
+      return sizeError;
+    }
+
+    setReview(null);
+    setLibrary((current) =>
+      updateActiveEntry(current, (entry) => startNewRound(entry, importedGame)),
+    );
+    return null;
+  };
+
+  const openLesson = (lessonIndex) => {
+    const index = Math.min(Math.max(lessonIndex, 0), TUTORIAL_LESSONS.length - 1);
+    setTutorial({
+      lessonIndex: index,
+      game: createLessonGame(TUTORIAL_LESSONS[index]),
+      solved: false,
+      feedback: null,
+    });
+  };
+
+  // Starts at the first unsolved lesson. A running clock keeps ticking in the background, so
+  // timed games in progress and networked games have to be finished or left first.
+  const canStartTutorial = !isNetworked && !session.clock?.activePlayer;
+  const startTutorial = () => {
+    const firstUnsolved = TUTORIAL_LESSONS.findIndex(
+      (lesson) => !library.tutorialProgress.includes(lesson.id),
+    );
+    setReview(null);
+    setPuzzle(null);
+    setActivePanel(null);
+    openLesson(firstUnsolved === -1 ? 0 : firstUnsolved);
+  };
+
+  // Today's daily puzzle counts toward the daily streak however it is opened.
+  const openPuzzle = (puzzleIndex, pack = puzzlePack) => {
+    const index = Math.min(Math.max(puzzleIndex, 0), pack.puzzles.length - 1);
+    const dateKey = getDateKey();
+    setPuzzle({
+      puzzleIndex: index,
+      game: createPuzzleGame(pack.puzzles[index]),
+      played: [],
+      mistakes: 0,
+      solved: false,
+      daily: index === getDailyPuzzleIndex(pack, dateKey) ? dateKey : null,
+      feedback: null,
+    });
+  };
+
+  const openDailyPuzzle = () => openPuzzle(getDailyPuzzleIndex(puzzlePack, getDateKey()));
+
+  // Puzzles share the tutorial's limits and open on today's daily puzzle.
+  const startPuzzles = () => {
+    setReview(null);
+    setTutorial(null);
+    setActivePanel(null);
+    openDailyPuzzle();
+  };
+
+  // Returns the pack's validation errors, or null once it is loaded. Null text restores the
+  // bundled starter pack.
+  const handleLoadPuzzlePack = (text) => {
+    const result = text === null ? { ok: true, pack: STARTER_PUZZLE_PACK } : loadPuzzlePack(text);
+    if (!result.ok) {
+      return result.errors;
+    }
+    setPuzzlePack(result.pack);
+    openPuzzle(0, result.pack);
+    return null;
+  };
+
+  const startReview = ({ title, size, rules, moves, cursor }) => {
+    setTutorial(null);
+    setPuzzle(null);
+    setActivePanel(null);
+    setReview({ title, size, rules, moves, cursor });
+  };
+
+  const handleReviewRecord = ({ game: importedGame, headers }) => {
+    const sizeError = getUnsupportedSizeError(importedGame.size);
+    if (sizeError) {
+      return sizeError;
+    }
+
+    startReview({
+      title: headers.X && headers.O ? `${headers.X} vs ${headers.O}` : "Imported game",
+      size: importedGame.size,
+      rules: importedGame.rules,
+      moves: importedGame.moves,
+      cursor: 0,
+    });
+    return null;
+  };
+
+  const handleSeek = useCallback((cursor) => {
+    setReview((current) =>
+      current
+        ? { ...current, cursor: Math.min(Math.max(cursor, 0), current.moves.length) }
+        : current,
+    );
+  }, []);
+
+  // Resuming keeps the rest of the reviewed line on the redo stack, so it can still be followed.
+  const handleResumeFromReview = () => {
+    if (!review || !reviewGame) {
+      return;
+    }
+    if (isNetworked) {
+      setReview(null);
+      return;
+    }
+
+    // Resuming branches into a new game, so the reviewed game or record stays as it was.
+    setLibrary((current) => {
+      const source = getActiveEntry(current);
+      const entry = createLibraryEntry(
+        reviewGame.size,
+        reviewGame.rules,
+        current.games,
+        current.timeControlInput,
+      );
+      const branch = {
+        ...entry,
+        name: `${source.name} (from move ${review.cursor})`,
+        gameState: reviewGame,
+        redoMoves: review.moves.slice(review.cursor).reverse(),
+        opponent: source.opponent ?? entry.opponent,
+        clock: syncClock(entry.clock, reviewGame),
+        players: source.players ?? entry.players,
+      };
+      return { ...current, activeGameId: branch.id, games: [...current.games, branch] };
+    });
+    setReview(null);
+  };
+
+  const togglePanel = (panel) => setActivePanel((current) => (current === panel ? null : panel));
+
+  const updateOpponent = (changes) => {
     setSession((current) => ({
       ...current,
-      game: createInitialGameState(FIXED_SIZE),
+      opponent: { ...current.opponent, ...changes },
     }));
   };
 
+  const openNetworkedGame = (opponent) => {
+    setReview(null);
+    setLibrary((current) => {
+      const entry = {
+        ...createLibraryEntry(getNewGameSize(current.sizeInput), current.rulesInput, current.games),
+        opponent: hydrateOpponent(opponent),
+      };
+      return { ...current, activeGameId: entry.id, games: [...current.games, entry] };
+    });
+  };
+
+  const handleCreateOnline = (serverUrl, side) =>
+    openNetworkedGame({ type: "online", serverUrl, side, code: null, token: null });
+
+  const handleJoinOnline = (serverUrl, code) =>
+    openNetworkedGame({ type: "online", serverUrl, code: code.toUpperCase(), token: null, side: null });
+
+  const handleHostPeer = (side) => openNetworkedGame({ type: "peer", side });
+
+  const handleJoinPeer = () => openNetworkedGame({ type: "peer", side: null });
+
+  const handleLeaveNetworked = () =>
+    setSession((current) => ({ ...current, opponent: DEFAULT_OPPONENT }));
+
+  const handleRestart = () => {
+    setReview(null);
+    setLibrary((current) =>
+      updateActiveEntry(current, (entry) =>
+        startNewRound(
+          entry,
+          createInitialGameState(getNewGameSize(current.sizeInput), current.rulesInput),
+          createClock(current.timeControlInput),
+        ),
+      ),
+    );
+  };
+
+  const clockRunning = Boolean(session.clock?.turnStartedAt);
+  const [clockNow, setClockNow] = useState(() => Date.now());
+  const lastWarningRef = useRef(null);
+
+  useEffect(() => {
+    setLibrary((current) => settleClocks(current, getActiveEntry(current).id));
+  }, [library.activeGameId]);
+
+  // Closing the page pauses every clock and saves straight away; a page restored from the
+  // back/forward cache picks the shown game's clock up again.
+  useEffect(() => {
+    const handlePageHide = () => {
+      savePersistedData({ library: settleClocks(library, null), profiles: profileStore });
+      setLibrary((current) => settleClocks(current, null));
+    };
+    const handlePageShow = (event) => {
+      if (event.persisted) {
+        setLibrary((current) => settleClocks(current, getActiveEntry(current).id));
+      }
+    };
+
+    window.addEventListener("pagehide", handlePageHide);
+    window.addEventListener("pageshow", handlePageShow);
+    return () => {
+      window.removeEventListener("pagehide", handlePageHide);
+      window.removeEventListener("pageshow", handlePageShow);
+    };
+  }, [library, profileStore]);
+
+  // While a clock runs, tick the display, sound the low-time warnings and end the game when
+  // the player on turn runs out.
+  useEffect(() => {
+    if (!clockRunning) {
+      return undefined;
+    }
+
+    const timer = setInterval(() => {
+      const now = Date.now();
+      setClockNow(now);
+
+      const { clock, audio } = session;
+      const player = clock.activePlayer;
+      const seconds = Math.ceil(getRemainingMs(clock, player, now) / 1000);
+      const warningKey = `${player}-${seconds}`;
+      if (seconds > 0 && lastWarningRef.current !== warningKey) {
+        lastWarningRef.current = warningKey;
+        if (seconds === LOW_TIME_MS / 1000) {
+          playLowTimeSfx(audio);
+        } else if (seconds <= URGENT_TIME_SECONDS) {
+          playClockTickSfx(audio);
+        }
+      }
+
+      if (getFlaggedPlayer(clock, now)) {
+        playTimeoutSfx(audio);
+        setSession((current) => {
+          const flagged = getFlaggedPlayer(current.clock, now);
+          return flagged
+            ? { ...current, game: noteLiveMove(forfeitOnTime(current.game, flagged)) }
+            : current;
+        });
+      }
+    }, CLOCK_TICK_MS);
+
+    return () => clearInterval(timer);
+  }, [clockRunning, session, setSession]);
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (isEditableTarget(event.target)) {
+        return;
+      }
+
+      if (review && (event.key === "ArrowLeft" || event.key === "ArrowRight")) {
+        event.preventDefault();
+        handleSeek(review.cursor + (event.key === "ArrowRight" ? 1 : -1));
+        return;
+      }
+
+      if (!(event.ctrlKey || event.metaKey) || event.key.toLowerCase() !== "z") {
+        return;
+      }
+
+      event.preventDefault();
+      if (event.shiftKey) {
+        handleRedo();
+      } else {
+        handleUndo();
+      }
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  });
+
+  const boardFallback = (
+    <Board2D
+      game={displayedGame}
+      onCellClick={handleCellClick}
+      readOnly={boardReadOnly}
+      theme={theme}
+      analysis={analysis}
+      preview={movePreview}
+      hint={activeHint}
+      onCellHover={analysis ? handleCellHover : undefined}
+    />
+  );
+
   return (
-    <main className="focus-shell">
+    <main className={reducedMotion ? "focus-shell reduced-motion" : "focus-shell"}>
       <section className="game-focus-card">
         <div className="game-hud">
           <h1>Super Tic-Tac-Toe</h1>
           <p className="status-line">{statusText}</p>
-          <p className="meta-line">Classic mode: 9 local boards • Moves: {game.moveCount}</p>
+          {session.clock ? <GameClocks clock={session.clock} now={clockNow} /> : null}
+          <p className="meta-line">
+            {[
+              describeGameMode(displayedGame),
+              session.clock ? describeTimeControl(session.clock.control) : null,
+              `Moves: ${displayedGame.moveCount}`,
+              hintCounts.X + hintCounts.O > 0
+                ? `Hints: X ${hintCounts.X}, O ${hintCounts.O}`
+                : null,
+            ]
+              .filter(Boolean)
+              .join(" • ")}
+          </p>
+          {activeHint ? <p className="hint-line">{describeHint(activeHint, game.size)}</p> : null}
+          {saveProblem ? (
+            <p className="panel-message error" role="alert">
+              {saveProblem}
+            </p>
+          ) : null}
+          {analysis ? (
+            <AnalysisPanel
+              game={displayedGame}
+              analysis={analysis}
+              preview={movePreview}
+              theme={theme}
+            />
+          ) : null}
         </div>
 
-        <Board3D game={game} onCellClick={handleCellClick} />
+        {renderer === "3d" ? (
+          <BoardFallback fallback={boardFallback} onFallback={() => setWebglFailed(true)}>
+            <Suspense fallback={boardFallback}>
+              <Board3D
+                game={displayedGame}
+                onCellClick={handleCellClick}
+                readOnly={boardReadOnly}
+                quality={library.graphicsQuality}
+                reducedMotion={reducedMotion}
+                theme={theme}
+                analysis={analysis}
+                preview={movePreview}
+                hint={activeHint}
+                onCellHover={analysis ? handleCellHover : undefined}
+                cameraView={library.cameraView}
+                autoFocus={library.cameraFocus === "forced"}
+                justPlayed={displayedGame === liveMoveGameRef.current}
+              />
+            </Suspense>
+          </BoardFallback>
+        ) : (
+          boardFallback
+        )}
+        <AccessibleBoard
+          game={displayedGame}
+          allowedBoards={allowedBoards}
+          statusText={statusText}
+          readOnly={boardReadOnly}
+          onCellClick={handleCellClick}
+        />
 
         <div className="control-strip">
-          <button type="button" onClick={handleRestart}>
+          <button
+            type="button"
+            onClick={handleRestart}
+            disabled={isNetworked}
+            title={isNetworked ? "Leave the networked game to restart it" : undefined}
+          >
             New Game
           </button>
+          <label className="control-select">
+            Size
+            <select
+              value={getNewGameSize(library.sizeInput)}
+              onChange={(event) =>
+                setLibrary((current) => ({ ...current, sizeInput: event.target.value }))
+              }
+              title="Board size for new games"
+            >
+              {BOARD_SIZE_OPTIONS.map((size) => (
+                <option key={size} value={size}>
+                  {size}×{size}
+                </option>
+              ))}
+            </select>
+          </label>
+          <button type="button" onClick={handleUndo} disabled={!canUndo}>
+            Undo
+          </button>
+          <button type="button" onClick={handleRedo} disabled={!canRedo}>
+            Redo
+          </button>
+          <button
+            type="button"
+            onClick={handleHint}
+            disabled={!canHint || hintPending}
+            title={isNetworked ? "Hints are off in networked games" : undefined}
+          >
+            Hint
+          </button>
+          <label className="control-select">
+            Opponent
+            <select
+              value={
+                session.opponent.type === "computer"
+                  ? session.opponent.computerPlayer
+                  : session.opponent.type
+              }
+              disabled={isNetworked}
+              onChange={(event) =>
+                updateOpponent(
+                  event.target.value === "human"
+                    ? { type: "human" }
+                    : { type: "computer", computerPlayer: event.target.value },
+                )
+              }
+            >
+              <option value="human">Human (hot-seat)</option>
+              <option value="O">Computer plays O</option>
+              <option value="X">Computer plays X</option>
+              {isOnline ? <option value="online">Online</option> : null}
+              {isPeer ? <option value="peer">Peer-to-peer</option> : null}
+            </select>
+          </label>
+          {session.opponent.type === "computer" ? (
+            <label className="control-select">
+              Difficulty
+              <select
+                value={session.opponent.difficulty}
+                onChange={(event) => updateOpponent({ difficulty: event.target.value })}
+              >
+                {AI_DIFFICULTIES.map((entry) => (
+                  <option key={entry.id} value={entry.id}>
+                    {entry.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+          ) : null}
+          <button type="button" onClick={() => togglePanel("library")}>
+            Games
+          </button>
+          <button type="button" onClick={() => togglePanel("online")}>
+            Online
+          </button>
+          <button type="button" onClick={() => togglePanel("peer")}>
+            Peer
+          </button>
+          <button type="button" onClick={() => togglePanel("players")}>
+            Players
+          </button>
+          <button type="button" onClick={() => togglePanel("rules")}>
+            Rules
+          </button>
+          <button type="button" onClick={() => togglePanel("display")}>
+            Display
+          </button>
+          <button type="button" onClick={() => togglePanel("record")}>
+            Record
+          </button>
+          <button
+            type="button"
+            disabled={Boolean(review) || game.moves.length === 0}
+            onClick={() =>
+              startReview({
+                title: "Current game",
+                size: game.size,
+                rules: game.rules,
+                moves: game.moves,
+                cursor: game.moves.length,
+              })
+            }
+          >
+            Review
+          </button>
+          <button
+            type="button"
+            onClick={startTutorial}
+            disabled={!canStartTutorial}
+            title={canStartTutorial ? undefined : "Finish or leave the current game first"}
+          >
+            Tutorial
+          </button>
+          <button
+            type="button"
+            onClick={startPuzzles}
+            disabled={!canStartTutorial}
+            title={canStartTutorial ? undefined : "Finish or leave the current game first"}
+          >
+            Puzzles
+          </button>
           <button
             type="button"
             onClick={() =>
-              setSession((current) => ({ ...current, soundEnabled: !current.soundEnabled }))
+              setLibrary((current) => ({ ...current, analysisEnabled: !current.analysisEnabled }))
             }
           >
-            Sound: {session.soundEnabled ? "On" : "Off"}
+            Analysis: {library.analysisEnabled ? "On" : "Off"}
+          </button>
+          <button type="button" onClick={() => togglePanel("audio")}>
+            Sound: {library.audio.enabled ? `${Math.round(library.audio.masterVolume * 100)}%` : "Off"}
           </button>
         </div>
+
+        {activePanel === "library" ? (
+          <GameLibraryPanel
+            games={library.games}
+            activeGameId={getActiveEntry(library).id}
+            onCreate={handleCreateGame}
+            onSelect={handleSelectGame}
+            onRename={handleRenameGame}
+            onDuplicate={handleDuplicateGame}
+            onDelete={handleDeleteGame}
+            onClose={() => setActivePanel(null)}
+          />
+        ) : null}
+
+        {activePanel === "online" ? (
+          <OnlinePanel
+            opponent={session.opponent}
+            online={online}
+            onCreate={handleCreateOnline}
+            onJoin={handleJoinOnline}
+            onLeave={handleLeaveNetworked}
+            onClose={() => setActivePanel(null)}
+          />
+        ) : null}
+
+        {activePanel === "peer" ? (
+          <PeerPanel
+            opponent={session.opponent}
+            peer={peer}
+            onHost={handleHostPeer}
+            onJoin={handleJoinPeer}
+            onLeave={handleLeaveNetworked}
+            onClose={() => setActivePanel(null)}
+          />
+        ) : null}
+
+        {activePanel === "players" ? (
+          <ProfilesPanel
+            profiles={profileStore.profiles}
+            players={seatedPlayers}
+            seatedSides={localSides}
+            locked={game.moves.length > 0}
+            onAssign={handleAssignPlayer}
+            onCreate={handleCreateProfile}
+            onRename={handleRenameProfile}
+            onDelete={handleDeleteProfile}
+            onClose={() => setActivePanel(null)}
+          />
+        ) : null}
+
+        {activePanel === "rules" ? (
+          <RulesPanel
+            rulesInput={library.rulesInput}
+            timeControlInput={library.timeControlInput}
+            size={getNewGameSize(library.sizeInput)}
+            onChange={(changes) =>
+              setLibrary((current) => ({
+                ...current,
+                rulesInput: normalizeRulesInput({ ...current.rulesInput, ...changes }),
+              }))
+            }
+            onTimeControlChange={(changes) =>
+              setLibrary((current) => ({
+                ...current,
+                timeControlInput: normalizeTimeControl({ ...current.timeControlInput, ...changes }),
+              }))
+            }
+            onClose={() => setActivePanel(null)}
+          />
+        ) : null}
+
+        {activePanel === "display" ? (
+          <DisplayPanel
+            settings={library}
+            renderer={renderer}
+            onChange={(changes) => {
+              if (changes.rendererMode) {
+                setWebglFailed(false);
+              }
+              setLibrary((current) => ({ ...current, ...changes }));
+            }}
+            onClose={() => setActivePanel(null)}
+          />
+        ) : null}
+
+        {activePanel === "audio" ? (
+          <AudioPanel
+            settings={library.audio}
+            onChange={(changes) =>
+              setLibrary((current) => ({
+                ...current,
+                audio: normalizeAudioSettings({ ...current.audio, ...changes }),
+              }))
+            }
+            onClose={() => setActivePanel(null)}
+          />
+        ) : null}
+
+        {activePanel === "record" ? (
+          <GameRecordPanel
+            game={game}
+            recordOptions={recordOptions}
+            onImport={handleImportRecord}
+            onReview={handleReviewRecord}
+            onClose={() => setActivePanel(null)}
+          />
+        ) : null}
+
+        {tutorial ? (
+          <TutorialPanel
+            tutorial={tutorial}
+            progress={library.tutorialProgress}
+            onSelect={openLesson}
+            onReset={() => openLesson(tutorial.lessonIndex)}
+            onExit={() => setTutorial(null)}
+          />
+        ) : null}
+
+        {puzzle ? (
+          <PuzzlePanel
+            puzzle={puzzle}
+            pack={puzzlePack}
+            stats={library.puzzleStats}
+            dailyIndex={getDailyPuzzleIndex(puzzlePack, getDateKey())}
+            onSelect={(index) => openPuzzle(index)}
+            onDaily={openDailyPuzzle}
+            onLoadPack={handleLoadPuzzlePack}
+            onExit={() => setPuzzle(null)}
+          />
+        ) : null}
+
+        {review ? (
+          <ReviewPanel
+            review={review}
+            onSeek={handleSeek}
+            onResume={handleResumeFromReview}
+            onExit={() => setReview(null)}
+          />
+        ) : null}
       </section>
     </main>
   );
@@ -0,0 +1,105 @@
+import { SOUND_PACKS, playOMoveSfx, playXMoveSfx } from "./soundEffects";
+
+const PREVIEW_GAP_MS = 260;
+
+const VolumeSlider = ({ label, value, disabled, onChange }) => (
+  <label className="control-select">
+    {label}
+    <input
+      type="range"
+      min={0}
+      max={100}
+      value={Math.round(value * 100)}
+      disabled={disabled}
+      aria-valuetext={`${Math.round(value * 100)}%`}
+      onChange={(event) => onChange(Number(event.target.value) / 100)}
+    />
+  </label>
+);
+
+const AudioPanel = ({ settings, onChange, onClose }) => {
+  const handlePreview = () => {
+    playXMoveSfx(settings, -1);
+    setTimeout(() => playOMoveSfx(settings, 1), PREVIEW_GAP_MS);
+  };
+
+  return (
+    <section className="side-panel" aria-label="Sound settings">
+      <div className="side-panel-header">
+        <h2>Sound</h2>
+        <button type="button" onClick={onClose}>
+          Close
+        </button>
+      </div>
+
+      <div className="rules-grid">
+        <label className="control-select">
+          Sound
+          <select
+            value={settings.enabled ? "on" : "off"}
+            onChange={(event) => onChange({ enabled: event.target.value === "on" })}
+          >
+            <option value="on">On</option>
+            <option value="off">Off</option>
+          </select>
+        </label>
+        <label className="control-select">
+          Sound pack
+          <select
+            value={settings.packId}
+            disabled={!settings.enabled}
+            onChange={(event) => onChange({ packId: event.target.value })}
+          >
+            {SOUND_PACKS.map((pack) => (
+              <option key={pack.id} value={pack.id}>
+                {pack.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <VolumeSlider
+          label="Master"
+          value={settings.masterVolume}
+          disabled={!settings.enabled}
+          onChange={(masterVolume) => onChange({ masterVolume })}
+        />
+        <VolumeSlider
+          label="Effects"
+          value={settings.sfxVolume}
+          disabled={!settings.enabled}
+          onChange={(sfxVolume) => onChange({ sfxVolume })}
+        />
+        <label className="control-select">
+          Ambient music
+          <select
+            value={settings.musicEnabled ? "on" : "off"}
+            disabled={!settings.enabled}
+            onChange={(event) => onChange({ musicEnabled: event.target.value === "on" })}
+          >
+            <option value="on">On</option>
+            <option value="off">Off</option>
+          </select>
+        </label>
+        <VolumeSlider
+          label="Ambient"
+          value={settings.ambientVolume}
+          disabled={!settings.enabled || !settings.musicEnabled}
+          onChange={(ambientVolume) => onChange({ ambientVolume })}
+        />
+      </div>
+
+      <div className="side-panel-actions">
+        <button type="button" onClick={handlePreview} disabled={!settings.enabled}>
+          Preview
+        </button>
+      </div>
+      <p className="panel-note">
+        Moves and captures are panned toward the column they were played in. Preview plays an X
+        move on the left, then an O move on the right. Ambient music starts with the first move
+        and speeds up and darkens as boards fall and a player nears a meta line.
+      </p>
+    </section>
+  );
+};
+
+export default AudioPanel;
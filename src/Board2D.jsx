@@ -0,0 +1,223 @@
+import {
+  getBoardColor,
+  getBoardTone,
+  isBoardPlayable,
+  isCellClickable,
+  isGameOver,
+} from "./boardView";
+import { indexToCoords, isBoardResolved } from "./gameLogic";
+import { getTheme } from "./themes";
+
+const CELL_SIZE = 10;
+const CELL_INSET = 0.4;
+const BOARD_PADDING = 0.6;
+const BOARD_GAP = 3;
+const THREAT_RING_GAP = 0.7;
+
+const Mark = ({ value, x, y, size, strokeWidth, theme, opacity = 1 }) => {
+  const inset = size * 0.24;
+  if (value === "X") {
+    return (
+      <g stroke={theme.pieces.x} strokeWidth={strokeWidth} strokeLinecap="round" opacity={opacity}>
+        <line x1={x + inset} y1={y + inset} x2={x + size - inset} y2={y + size - inset} />
+        <line x1={x + size - inset} y1={y + inset} x2={x + inset} y2={y + size - inset} />
+      </g>
+    );
+  }
+  return (
+    <circle
+      cx={x + size / 2}
+      cy={y + size / 2}
+      r={size / 2 - inset}
+      fill="none"
+      stroke={theme.pieces.o}
+      strokeWidth={strokeWidth}
+      opacity={opacity}
+    />
+  );
+};
+
+// Flat SVG board for devices without (fast) WebGL. It draws the same state as BoardScene with
+// the same theme colours, minus the lighting, animation and post-processing.
+// `analysis` and `preview` come from positionAnalysis.js: threatened boards get an outline in
+// the threatening player's colour and the hovered move's target board is tinted.
+const Board2D = ({
+  game,
+  onCellClick,
+  readOnly = false,
+  theme = getTheme(),
+  analysis = null,
+  preview = null,
+  hint = null,
+  onCellHover,
+}) => {
+  const { size } = game;
+  const boardSpan = size * CELL_SIZE + BOARD_PADDING * 2;
+  const totalSpan = size * boardSpan + (size - 1) * BOARD_GAP;
+  const viewSpan = totalSpan + BOARD_GAP * 2;
+  const gameOver = isGameOver(game);
+
+  return (
+    <div className="board-canvas board-2d">
+      <svg
+        viewBox={`${-BOARD_GAP} ${-BOARD_GAP} ${viewSpan} ${viewSpan}`}
+        preserveAspectRatio="xMidYMid meet"
+        aria-hidden="true"
+        focusable="false"
+      >
+        <rect
+          x={-BOARD_GAP}
+          y={-BOARD_GAP}
+          width={viewSpan}
+          height={viewSpan}
+          fill={theme.scene.background}
+        />
+        {game.boards.map((board, boardIndex) => {
+          const { row, col } = indexToCoords(boardIndex, size);
+          const boardX = col * (boardSpan + BOARD_GAP);
+          const boardY = row * (boardSpan + BOARD_GAP);
+          const boardTone = getBoardTone(game, boardIndex);
+          const highlighted =
+            isBoardPlayable(game, boardIndex) && !isBoardResolved(board) && !gameOver;
+
+          return (
+            <g key={`board-${boardIndex}`}>
+              <rect
+                x={boardX}
+                y={boardY}
+                width={boardSpan}
+                height={boardSpan}
+                rx={1.2}
+                fill={getBoardColor(game, boardIndex, theme)}
+                stroke={highlighted ? theme.board.glow : theme.board.lineLocal}
+                strokeWidth={highlighted ? 0.9 : 0.3}
+              />
+              {board.cells.map((cellValue, cellIndex) => {
+                const cell = indexToCoords(cellIndex, size);
+                const x = boardX + BOARD_PADDING + cell.col * CELL_SIZE;
+                const y = boardY + BOARD_PADDING + cell.row * CELL_SIZE;
+                const clickable = isCellClickable(game, boardIndex, cellIndex, readOnly);
+                const isLatestMove =
+                  game.lastMove?.boardIndex === boardIndex && game.lastMove?.cellIndex === cellIndex;
+
+                return (
+                  <g
+                    key={`cell-${boardIndex}-${cellIndex}`}
+                    className={clickable ? "board-2d-cell clickable" : "board-2d-cell"}
+                    onClick={clickable ? () => onCellClick(boardIndex, cellIndex) : undefined}
+                    onMouseEnter={
+                      clickable && onCellHover
+                        ? () => onCellHover(boardIndex, cellIndex)
+                        : undefined
+                    }
+                    onMouseLeave={onCellHover ? () => onCellHover(null) : undefined}
+                  >
+                    <rect
+                      x={x + CELL_INSET}
+                      y={y + CELL_INSET}
+                      width={CELL_SIZE - CELL_INSET * 2}
+                      height={CELL_SIZE - CELL_INSET * 2}
+                      rx={0.8}
+                      fill={theme.cells[boardTone]}
+                      stroke={isLatestMove ? theme.board.lineMeta : "none"}
+                      strokeWidth={0.6}
+                    />
+                    {hint?.boardIndex === boardIndex && hint.cellIndex === cellIndex ? (
+                      <circle
+                        cx={x + CELL_SIZE / 2}
+                        cy={y + CELL_SIZE / 2}
+                        r={CELL_SIZE * 0.42}
+                        fill="none"
+                        stroke={theme.board.hint}
+                        strokeWidth={0.8}
+                      />
+                    ) : null}
+                    {cellValue ? (
+                      <Mark
+                        value={cellValue}
+                        x={x}
+                        y={y}
+                        size={CELL_SIZE}
+                        strokeWidth={1.4}
+                        theme={theme}
+                      />
+                    ) : null}
+                  </g>
+                );
+              })}
+              {theme.overlays[boardTone] ? (
+                <rect
+                  x={boardX}
+                  y={boardY}
+                  width={boardSpan}
+                  height={boardSpan}
+                  rx={1.2}
+                  fill={theme.overlays[boardTone]}
+                  opacity={0.2}
+                  pointerEvents="none"
+                />
+              ) : null}
+              {hint?.sendBoardIndex === boardIndex ? (
+                <rect
+                  x={boardX}
+                  y={boardY}
+                  width={boardSpan}
+                  height={boardSpan}
+                  rx={1.2}
+                  fill="none"
+                  stroke={theme.board.hint}
+                  strokeWidth={0.9}
+                  pointerEvents="none"
+                />
+              ) : null}
+              {preview?.sendBoardIndex === boardIndex ? (
+                <rect
+                  x={boardX}
+                  y={boardY}
+                  width={boardSpan}
+                  height={boardSpan}
+                  rx={1.2}
+                  fill={theme.pieces[preview.opponent.toLowerCase()]}
+                  fillOpacity={0.22}
+                  stroke={theme.pieces[preview.opponent.toLowerCase()]}
+                  strokeWidth={0.6}
+                  strokeDasharray="2 1.4"
+                  pointerEvents="none"
+                />
+              ) : null}
+              {["X", "O"].map((player, ringIndex) =>
+                analysis?.boardThreats[boardIndex][player].length > 0 ? (
+                  <rect
+                    key={`threat-${player}`}
+                    x={boardX - THREAT_RING_GAP * (ringIndex + 1)}
+                    y={boardY - THREAT_RING_GAP * (ringIndex + 1)}
+                    width={boardSpan + THREAT_RING_GAP * 2 * (ringIndex + 1)}
+                    height={boardSpan + THREAT_RING_GAP * 2 * (ringIndex + 1)}
+                    rx={1.8}
+                    fill="none"
+                    stroke={theme.pieces[player.toLowerCase()]}
+                    strokeWidth={0.5}
+                    pointerEvents="none"
+                  />
+                ) : null,
+              )}
+              {board.winner ? (
+                <Mark
+                  value={board.winner}
+                  x={boardX}
+                  y={boardY}
+                  size={boardSpan}
+                  strokeWidth={2.4}
+                  theme={theme}
+                  opacity={0.7}
+                />
+              ) : null}
+            </g>
+          );
+        })}
+      </svg>
+    </div>
+  );
+};
+
+export default Board2D;
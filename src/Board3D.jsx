@@ -1,30 +1,47 @@
-import { Cloud, OrbitControls, Sparkles, Stars } from "@react-three/drei";
+import { Cloud, OrbitControls, PerformanceMonitor, Sparkles, Stars } from "@react-three/drei";
 import { Bloom, ChromaticAberration, EffectComposer, Noise, Vignette } from "@react-three/postprocessing";
-import { Canvas, useFrame } from "@react-three/fiber";
-import { useEffect, useMemo, useRef } from "react";
+import { Canvas, useFrame, useThree } from "@react-three/fiber";
+import { useEffect, useMemo, useRef, useState } from "react";
 import { BlendFunction } from "postprocessing";
-import { Vector2 } from "three";
+import { Color, TOUCH, Vector2, Vector3 } from "three";
+import {
+  getBoardColor,
+  getBoardTone,
+  isBoardPlayable,
+  isCellClickable,
+  isGameOver,
+} from "./boardView";
 import { canPlayInBoard, indexToCoords, isBoardResolved } from "./gameLogic";
+import { AUTO_START_LEVEL, QUALITY_PRESETS, stepQualityLevel } from "./graphicsQuality";
+import { getTheme } from "./themes";
 
 const BASE_LOCAL_BOARD_SPAN = 3;
+const CAMERA_FOV = 48;
+const FRAME_MARGIN = 1.12;
 const MIN_CELL_SIZE = 0.18;
 const MAX_CELL_SIZE = 1;
-const PALETTE = {
-  x: "#ff4fc8",
-  o: "#4ef4f1",
-  boardActive: "#ffe6f7",
-  boardInactive: "#f2eeff",
-  boardResolved: "#d9d5ff",
-  lineLocal: "#c084fc",
-  lineMeta: "#8b5cf6",
-  glowOne: "#ff78d8",
-  glowTwo: "#8acbff",
-  glowThree: "#81ffd9",
+const CAPTURE_DROP_SECONDS = 0.7;
+const BEAM_GROW_SECONDS = 0.9;
+const CONFETTI_SECONDS = 2.6;
+const CAMERA_MOVE_SECONDS = 0.9;
+const ORBIT_RADIANS_PER_SECOND = 0.12;
+const FOCUS_SPAN_BOARDS = 1.7;
+// A tap that drifts further than this many pixels is a pan, not a move.
+const TAP_SLOP_PX = 8;
+const Z_AXIS = new Vector3(0, 0, 1);
+const VIEW_DIRECTIONS = {
+  top: [0, 0, 1],
+  isometric: [0.5, -0.62, 0.6],
+  orbit: [0, -0.7, 0.72],
 };
 
 const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
 const easeOutCubic = (value) => 1 - (1 - value) ** 3;
 
+// Replayed positions can share timestamps, so the move number keeps each step's token distinct.
+const getMoveToken = (game) =>
+  game.lastMove ? `${game.lastMove.timestamp}-${game.lastMove.moveNumber}` : String(game.moveCount);
+
 const getLayout = (size) => {
   const cellSize = clamp(BASE_LOCAL_BOARD_SPAN / size, MIN_CELL_SIZE, MAX_CELL_SIZE);
   const boardGap = clamp(cellSize * 0.35, 0.08, 0.35);
@@ -43,7 +60,86 @@ const getLayout = (size) => {
   };
 };
 
-const XMark = ({ cellSize }) => {
+// Distance at which the whole meta board fits the viewport, whichever axis is tighter.
+const getFramingDistance = (totalSpan, aspect) => {
+  const halfFov = (CAMERA_FOV * Math.PI) / 360;
+  const fitHeight = (totalSpan * FRAME_MARGIN) / 2 / Math.tan(halfFov);
+  return Math.max(fitHeight, fitHeight / Math.max(aspect, 0.01), totalSpan * 1.45);
+};
+
+const getBoardCenter = (boardIndex, size, layout) => {
+  const { row, col } = indexToCoords(boardIndex, size);
+  const step = layout.boardSpan + layout.boardGap;
+  return {
+    x: (col - layout.boardCenterOffset) * step,
+    y: (layout.boardCenterOffset - row) * step,
+  };
+};
+
+// The orbit view keeps its current swing when it re-frames, so focusing never snaps it back.
+const getViewDirection = (view, offset) => {
+  const direction = new Vector3(...(VIEW_DIRECTIONS[view] ?? VIEW_DIRECTIONS.top)).normalize();
+  if (view === "orbit" && Math.hypot(offset.x, offset.y) > 0.001) {
+    direction.applyAxisAngle(Z_AXIS, Math.atan2(offset.x, -offset.y));
+  }
+  return direction;
+};
+
+// Glides the camera to the chosen view of the whole board, or of `focus` when set, whenever
+// either changes or the view is reset. In between, zoom and pan stay with the player.
+const CameraRig = ({ view, totalSpan, focus, resetToken, reducedMotion }) => {
+  const camera = useThree((state) => state.camera);
+  const controls = useThree((state) => state.controls);
+  const aspect = useThree((state) => state.size.width / Math.max(state.size.height, 1));
+  const transitionRef = useRef(null);
+  const placedRef = useRef(false);
+  const focusX = focus?.x ?? 0;
+  const focusY = focus?.y ?? 0;
+  const span = focus?.span ?? totalSpan;
+
+  useEffect(() => {
+    const fromTarget = controls ? controls.target.clone() : new Vector3();
+    const toTarget = new Vector3(focusX, focusY, 0);
+    const direction = getViewDirection(view, camera.position.clone().sub(fromTarget));
+    transitionRef.current = {
+      fromPosition: camera.position.clone(),
+      fromTarget,
+      toPosition: toTarget.clone().addScaledVector(direction, getFramingDistance(span, aspect)),
+      toTarget,
+      start: performance.now(),
+      seconds: placedRef.current && !reducedMotion ? CAMERA_MOVE_SECONDS : 0,
+    };
+    placedRef.current = true;
+  }, [aspect, camera, controls, focusX, focusY, reducedMotion, resetToken, span, view]);
+
+  useFrame((_, delta) => {
+    const target = controls?.target ?? new Vector3();
+    const transition = transitionRef.current;
+    if (transition) {
+      const elapsed = (performance.now() - transition.start) / 1000;
+      const progress = transition.seconds > 0 ? clamp(elapsed / transition.seconds, 0, 1) : 1;
+      const eased = easeOutCubic(progress);
+      camera.position.lerpVectors(transition.fromPosition, transition.toPosition, eased);
+      target.lerpVectors(transition.fromTarget, transition.toTarget, eased);
+      if (progress === 1) {
+        transitionRef.current = null;
+      }
+    } else if (view === "orbit" && !reducedMotion) {
+      const offset = camera.position.clone().sub(target);
+      offset.applyAxisAngle(Z_AXIS, delta * ORBIT_RADIANS_PER_SECOND);
+      camera.position.copy(target).add(offset);
+    } else {
+      return;
+    }
+
+    camera.lookAt(target);
+    controls?.update();
+  });
+
+  return null;
+};
+
+const XMark = ({ cellSize, pieces }) => {
   const length = cellSize * 0.72;
   const thickness = Math.max(cellSize * 0.12, 0.04);
   const depth = Math.max(cellSize * 0.1, 0.06);
@@ -52,24 +148,33 @@ const XMark = ({ cellSize }) => {
     <group>
       <mesh rotation={[0, 0, Math.PI / 4]}>
         <boxGeometry args={[length, thickness, depth]} />
-        <meshStandardMaterial color={PALETTE.x} emissive="#fb7185" emissiveIntensity={0.2} />
+        <meshStandardMaterial color={pieces.x} emissive={pieces.xEmissive} emissiveIntensity={0.2} />
       </mesh>
       <mesh rotation={[0, 0, -Math.PI / 4]}>
         <boxGeometry args={[length, thickness, depth]} />
-        <meshStandardMaterial color={PALETTE.x} emissive="#fb7185" emissiveIntensity={0.2} />
+        <meshStandardMaterial color={pieces.x} emissive={pieces.xEmissive} emissiveIntensity={0.2} />
       </mesh>
     </group>
   );
 };
 
-const OMark = ({ cellSize }) => (
+const OMark = ({ cellSize, pieces }) => (
   <mesh>
     <torusGeometry args={[cellSize * 0.28, Math.max(cellSize * 0.08, 0.03), 16, 32]} />
-    <meshStandardMaterial color={PALETTE.o} emissive="#5eead4" emissiveIntensity={0.2} />
+    <meshStandardMaterial color={pieces.o} emissive={pieces.oEmissive} emissiveIntensity={0.2} />
   </mesh>
 );
 
-const AnimatedPiece = ({ value, x, y, cellSize, isLatestMove, animationToken }) => {
+const AnimatedPiece = ({
+  value,
+  x,
+  y,
+  cellSize,
+  pieces,
+  isLatestMove,
+  animationToken,
+  reducedMotion,
+}) => {
   const groupRef = useRef(null);
   const animationStartRef = useRef(0);
 
@@ -84,7 +189,7 @@ const AnimatedPiece = ({ value, x, y, cellSize, isLatestMove, animationToken })
       return;
     }
 
-    if (!isLatestMove) {
+    if (!isLatestMove || reducedMotion) {
       groupRef.current.position.set(x, y, 0.08);
       groupRef.current.scale.set(1, 1, 1);
       return;
@@ -106,12 +211,16 @@ const AnimatedPiece = ({ value, x, y, cellSize, isLatestMove, animationToken })
 
   return (
     <group ref={groupRef} position={[x, y, 0.08]}>
-      {value === "X" ? <XMark cellSize={cellSize} /> : <OMark cellSize={cellSize} />}
+      {value === "X" ? (
+        <XMark cellSize={cellSize} pieces={pieces} />
+      ) : (
+        <OMark cellSize={cellSize} pieces={pieces} />
+      )}
     </group>
   );
 };
 
-const GravityWave = ({ x, y, cellSize, animationToken }) => {
+const GravityWave = ({ x, y, cellSize, color, animationToken }) => {
   const ringRef = useRef(null);
   const ringMaterialRef = useRef(null);
   const startRef = useRef(0);
@@ -139,12 +248,176 @@ const GravityWave = ({ x, y, cellSize, animationToken }) => {
   return (
     <mesh ref={ringRef} position={[x, y, 0.13]}>
       <torusGeometry args={[Math.max(cellSize * 0.22, 0.1), Math.max(cellSize * 0.025, 0.015), 16, 72]} />
-      <meshBasicMaterial ref={ringMaterialRef} color="#f0abfc" transparent opacity={0.5} />
+      <meshBasicMaterial ref={ringMaterialRef} color={color} transparent opacity={0.5} />
+    </mesh>
+  );
+};
+
+const CaptureMaterial = ({ color, emissive }) => (
+  <meshStandardMaterial
+    color={color}
+    emissive={emissive}
+    emissiveIntensity={0.35}
+    transparent
+    opacity={0.4}
+    depthWrite={false}
+  />
+);
+
+// A board-sized translucent mark over a captured local board. It drops in when the move just
+// played made the capture and simply sits there otherwise.
+const CaptureMark = ({ player, x, y, boardSpan, pieces, animate, animationToken, reducedMotion }) => {
+  const groupRef = useRef(null);
+  const startRef = useRef(0);
+
+  useEffect(() => {
+    if (animate) {
+      startRef.current = performance.now();
+    }
+  }, [animate, animationToken]);
+
+  useFrame(() => {
+    if (!groupRef.current) {
+      return;
+    }
+
+    if (!animate || reducedMotion) {
+      groupRef.current.position.set(x, y, 0.2);
+      groupRef.current.scale.set(1, 1, 1);
+      return;
+    }
+
+    const elapsed = (performance.now() - startRef.current) / 1000;
+    const settled = easeOutCubic(clamp(elapsed / CAPTURE_DROP_SECONDS, 0, 1));
+    const scale = 1.35 - settled * 0.35;
+    groupRef.current.position.set(x, y, 0.2 + (1 - settled) * boardSpan * 1.8);
+    groupRef.current.scale.set(scale, scale, scale);
+  });
+
+  const isX = player === "X";
+  const color = isX ? pieces.x : pieces.o;
+  const emissive = isX ? pieces.xEmissive : pieces.oEmissive;
+  const thickness = boardSpan * 0.1;
+
+  return (
+    <group ref={groupRef} position={[x, y, 0.2]}>
+      {isX ? (
+        [Math.PI / 4, -Math.PI / 4].map((rotation) => (
+          <mesh key={rotation} rotation={[0, 0, rotation]}>
+            <boxGeometry args={[boardSpan * 0.95, thickness, thickness * 0.4]} />
+            <CaptureMaterial color={color} emissive={emissive} />
+          </mesh>
+        ))
+      ) : (
+        <mesh>
+          <torusGeometry args={[boardSpan * 0.34, thickness * 0.6, 16, 48]} />
+          <CaptureMaterial color={color} emissive={emissive} />
+        </mesh>
+      )}
+    </group>
+  );
+};
+
+// A glowing bar that grows from the first board of the winning meta line to the last.
+const MetaWinBeam = ({ start, end, thickness, color, reducedMotion }) => {
+  const meshRef = useRef(null);
+  const startRef = useRef(0);
+  const dx = end.x - start.x;
+  const dy = end.y - start.y;
+
+  useEffect(() => {
+    startRef.current = performance.now();
+  }, []);
+
+  useFrame(() => {
+    if (!meshRef.current) {
+      return;
+    }
+
+    const elapsed = (performance.now() - startRef.current) / 1000;
+    const grown = reducedMotion ? 1 : easeOutCubic(clamp(elapsed / BEAM_GROW_SECONDS, 0, 1));
+    meshRef.current.scale.set(Math.max(grown, 0.001), 1, 1);
+    meshRef.current.position.set(start.x + (dx * grown) / 2, start.y + (dy * grown) / 2, 0.32);
+  });
+
+  return (
+    <mesh ref={meshRef} position={[start.x, start.y, 0.32]} rotation={[0, 0, Math.atan2(dy, dx)]}>
+      <boxGeometry args={[Math.hypot(dx, dy), thickness, thickness]} />
+      <meshBasicMaterial color={color} toneMapped={false} />
     </mesh>
   );
 };
 
-const VaporwaveBackdrop = ({ totalSpan }) => {
+const createConfetti = (count, spread, colors) => {
+  const palette = colors.map((color) => new Color(color));
+  const velocities = new Float32Array(count * 3);
+  const colorValues = new Float32Array(count * 3);
+  for (let index = 0; index < count; index += 1) {
+    const angle = Math.random() * Math.PI * 2;
+    const speed = spread * (0.5 + Math.random() * 0.8);
+    velocities[index * 3] = Math.cos(angle) * speed;
+    velocities[index * 3 + 1] = Math.sin(angle) * speed + spread * 0.6;
+    velocities[index * 3 + 2] = Math.random() * spread * 0.4;
+    palette[index % palette.length].toArray(colorValues, index * 3);
+  }
+  return { positions: new Float32Array(count * 3), velocities, colorValues };
+};
+
+// One burst of particles from the middle of the board, falling back under gravity and fading.
+// It is keyed by the winning move, so a new win remounts it with fresh particles.
+const ConfettiBurst = ({ count, spread, particleSize, colors }) => {
+  const pointsRef = useRef(null);
+  const materialRef = useRef(null);
+  const startRef = useRef(0);
+  const [confetti] = useState(() => createConfetti(count, spread, colors));
+
+  useEffect(() => {
+    startRef.current = performance.now();
+  }, []);
+
+  useFrame(() => {
+    const points = pointsRef.current;
+    if (!points?.visible || !materialRef.current) {
+      return;
+    }
+
+    const elapsed = (performance.now() - startRef.current) / 1000;
+    if (elapsed >= CONFETTI_SECONDS) {
+      points.visible = false;
+      return;
+    }
+
+    const gravity = spread * 1.4;
+    const { positions, velocities } = confetti;
+    for (let index = 0; index < positions.length; index += 3) {
+      positions[index] = velocities[index] * elapsed;
+      positions[index + 1] = velocities[index + 1] * elapsed - 0.5 * gravity * elapsed * elapsed;
+      positions[index + 2] = 0.4 + velocities[index + 2] * elapsed;
+    }
+    points.geometry.attributes.position.needsUpdate = true;
+    materialRef.current.opacity = 1 - clamp((elapsed / CONFETTI_SECONDS - 0.6) / 0.4, 0, 1);
+  });
+
+  return (
+    <points ref={pointsRef}>
+      <bufferGeometry>
+        <bufferAttribute attach="attributes-position" args={[confetti.positions, 3]} />
+        <bufferAttribute attach="attributes-color" args={[confetti.colorValues, 3]} />
+      </bufferGeometry>
+      <pointsMaterial
+        ref={materialRef}
+        size={particleSize}
+        vertexColors
+        transparent
+        depthWrite={false}
+        toneMapped={false}
+      />
+    </points>
+  );
+};
+
+// The quality preset decides how much is drawn; the theme decides which layers exist at all.
+const SceneBackdrop = ({ totalSpan, preset, backdrop, reducedMotion }) => {
   const radius = clamp(totalSpan * 0.1, 2.4, 15);
   const offset = clamp(totalSpan * 0.35, 4.5, 46);
   const z = -clamp(totalSpan * 0.24, 5, 30);
@@ -153,27 +426,42 @@ const VaporwaveBackdrop = ({ totalSpan }) => {
   const gridHeight = clamp(totalSpan * 2.3, 22, 170);
   const cloudWidth = clamp(totalSpan * 0.44, 7, 38);
   const cloudDepth = clamp(totalSpan * 0.1, 2, 12);
+  const motion = reducedMotion ? 0 : 1;
   const blobs = [
-    { position: [-offset, offset * 0.4, z], color: PALETTE.glowOne, scale: 1.25 },
-    { position: [offset * 0.25, offset * 0.7, z - 2], color: PALETTE.glowTwo, scale: 1.45 },
-    { position: [offset, -offset * 0.4, z - 1], color: PALETTE.glowThree, scale: 1.18 },
-  ];
+    { position: [-offset, offset * 0.4, z], scale: 1.25 },
+    { position: [offset * 0.25, offset * 0.7, z - 2], scale: 1.45 },
+    { position: [offset, -offset * 0.4, z - 1], scale: 1.18 },
+  ]
+    .slice(0, backdrop.glows.length)
+    .map((blob, index) => ({ ...blob, color: backdrop.glows[index] }));
 
   return (
     <>
-      <Stars radius={starRadius} depth={58} count={420} factor={3.5} saturation={0} fade speed={0.3} />
-      <Sparkles
-        count={220}
-        scale={[gridWidth * 0.9, gridHeight * 0.9, 32]}
-        size={2.4}
-        speed={0.24}
-        noise={0.35}
-        color="#f9a8d4"
-      />
+      {backdrop.stars && preset.stars > 0 ? (
+        <Stars
+          radius={starRadius}
+          depth={58}
+          count={preset.stars}
+          factor={3.5}
+          saturation={0}
+          fade
+          speed={0.3 * motion}
+        />
+      ) : null}
+      {backdrop.sparkles && preset.sparkles > 0 ? (
+        <Sparkles
+          count={preset.sparkles}
+          scale={[gridWidth * 0.9, gridHeight * 0.9, 32]}
+          size={2.4}
+          speed={0.24 * motion}
+          noise={0.35}
+          color={backdrop.sparkles}
+        />
+      ) : null}
 
       {blobs.map((blob, index) => (
         <mesh key={`blob-${index}`} position={blob.position}>
-          <sphereGeometry args={[radius * blob.scale, 28, 28]} />
+          <sphereGeometry args={[radius * blob.scale, preset.blobSegments, preset.blobSegments]} />
           <meshStandardMaterial
             color={blob.color}
             transparent
@@ -186,48 +474,60 @@ const VaporwaveBackdrop = ({ totalSpan }) => {
         </mesh>
       ))}
 
-      <Cloud
-        position={[-offset * 0.8, offset * 0.65, z - 5]}
-        width={cloudWidth}
-        depth={cloudDepth}
-        speed={0.14}
-        opacity={0.24}
-        segments={22}
-        color="#ffd9f4"
-      />
-      <Cloud
-        position={[offset * 0.7, -offset * 0.55, z - 7]}
-        width={cloudWidth * 1.2}
-        depth={cloudDepth}
-        speed={0.1}
-        opacity={0.2}
-        segments={24}
-        color="#caedff"
-      />
+      {backdrop.clouds[0] && preset.clouds >= 1 ? (
+        <Cloud
+          position={[-offset * 0.8, offset * 0.65, z - 5]}
+          width={cloudWidth}
+          depth={cloudDepth}
+          speed={0.14 * motion}
+          opacity={0.24}
+          segments={22}
+          color={backdrop.clouds[0]}
+        />
+      ) : null}
+      {backdrop.clouds[1] && preset.clouds >= 2 ? (
+        <Cloud
+          position={[offset * 0.7, -offset * 0.55, z - 7]}
+          width={cloudWidth * 1.2}
+          depth={cloudDepth}
+          speed={0.1 * motion}
+          opacity={0.2}
+          segments={24}
+          color={backdrop.clouds[1]}
+        />
+      ) : null}
 
-      <mesh position={[0, -totalSpan * 0.45, z - 12]}>
-        <planeGeometry args={[gridWidth, gridHeight, 34, 20]} />
-        <meshBasicMaterial color="#a855f7" wireframe transparent opacity={0.17} />
-      </mesh>
+      {backdrop.grid ? (
+        <mesh position={[0, -totalSpan * 0.45, z - 12]}>
+          <planeGeometry args={[gridWidth, gridHeight, 34, 20]} />
+          <meshBasicMaterial color={backdrop.grid} wireframe transparent opacity={0.17} />
+        </mesh>
+      ) : null}
     </>
   );
 };
 
-const BoardScene = ({ game, onCellClick, layout }) => {
+const BoardScene = ({
+  game,
+  onCellClick,
+  onCellHover,
+  layout,
+  readOnly,
+  preset,
+  theme,
+  reducedMotion,
+  analysis,
+  preview,
+  hint,
+  justPlayed,
+}) => {
   const size = game.size;
   const { boardSpan, boardCenterOffset, boardGap, cellSize, lineThickness, totalSpan } = layout;
-  const gameOver = Boolean(game.winner) || game.isDraw;
+  const gameOver = isGameOver(game);
 
   const boardCenters = useMemo(
-    () =>
-      game.boards.map((_, boardIndex) => {
-        const { row, col } = indexToCoords(boardIndex, size);
-        return {
-          x: (col - boardCenterOffset) * (boardSpan + boardGap),
-          y: (boardCenterOffset - row) * (boardSpan + boardGap),
-        };
-      }),
-    [boardCenterOffset, boardGap, boardSpan, game.boards, size],
+    () => game.boards.map((_, boardIndex) => getBoardCenter(boardIndex, size, layout)),
+    [game.boards, layout, size],
   );
 
   const lastMoveWorldPosition = useMemo(() => {
@@ -244,61 +544,102 @@ const BoardScene = ({ game, onCellClick, layout }) => {
     return {
       x: center.x + (col - boardCenterOffset) * cellSize,
       y: center.y + (boardCenterOffset - row) * cellSize,
-      token: game.lastMove.timestamp ?? game.lastMove.moveNumber ?? game.moveCount,
+      token: getMoveToken(game),
     };
-  }, [boardCenterOffset, boardCenters, cellSize, game.lastMove, game.moveCount, size]);
+  }, [boardCenterOffset, boardCenters, cellSize, game, size]);
+
+  // One beam per completed meta line, each running a little past its first and last boards.
+  const metaBeams = useMemo(() => {
+    if (!game.winner) {
+      return [];
+    }
+
+    return game.winningLines.map((line) => {
+      const first = boardCenters[line[0]];
+      const last = boardCenters[line[line.length - 1]];
+      const length = Math.hypot(last.x - first.x, last.y - first.y) || 1;
+      const overshoot = (boardSpan * 0.35) / length;
+      return {
+        key: line.join("-"),
+        start: {
+          x: first.x - (last.x - first.x) * overshoot,
+          y: first.y - (last.y - first.y) * overshoot,
+        },
+        end: {
+          x: last.x + (last.x - first.x) * overshoot,
+          y: last.y + (last.y - first.y) * overshoot,
+        },
+      };
+    });
+  }, [boardCenters, boardSpan, game.winner, game.winningLines]);
 
   return (
     <>
-      <hemisphereLight args={["#ffe4ff", "#dbeafe", 0.78]} />
+      <hemisphereLight args={[...theme.scene.hemisphere, 0.78]} />
       <ambientLight intensity={0.64} />
       <directionalLight position={[1.5, 2, 8]} intensity={0.84} />
-      <pointLight position={[totalSpan * 0.2, totalSpan * 0.24, 11]} intensity={0.7} color="#f9a8d4" />
+      <pointLight
+        position={[totalSpan * 0.2, totalSpan * 0.24, 11]}
+        intensity={0.7}
+        color={theme.scene.lights[0]}
+      />
       <pointLight
         position={[-totalSpan * 0.24, -totalSpan * 0.26, 12]}
         intensity={0.58}
-        color="#67e8f9"
+        color={theme.scene.lights[1]}
+      />
+      <pointLight position={[0, totalSpan * 0.2, 9]} intensity={0.42} color={theme.scene.lights[2]} />
+      <SceneBackdrop
+        totalSpan={totalSpan}
+        preset={preset}
+        backdrop={theme.backdrop}
+        reducedMotion={reducedMotion}
       />
-      <pointLight position={[0, totalSpan * 0.2, 9]} intensity={0.42} color="#a78bfa" />
-      <VaporwaveBackdrop totalSpan={totalSpan} />
-      {lastMoveWorldPosition ? (
+      {lastMoveWorldPosition && !reducedMotion ? (
         <GravityWave
           x={lastMoveWorldPosition.x}
           y={lastMoveWorldPosition.y}
           cellSize={cellSize}
+          color={theme.scene.ripple}
           animationToken={lastMoveWorldPosition.token}
         />
       ) : null}
 
       {game.boards.map((board, boardIndex) => {
         const center = boardCenters[boardIndex];
-        const boardPlayable = canPlayInBoard(game, boardIndex);
+        const boardPlayable = isBoardPlayable(game, boardIndex);
         const boardResolved = isBoardResolved(board);
-
-        let boardOverlayColor = null;
-        if (board.winner === "X") {
-          boardOverlayColor = "#ffd0f2";
-        } else if (board.winner === "O") {
-          boardOverlayColor = "#cffafe";
-        } else if (board.isDraw) {
-          boardOverlayColor = "#d9d5ff";
-        }
-
-        const boardColor = boardResolved
-          ? PALETTE.boardResolved
-          : boardPlayable && !gameOver
-            ? PALETTE.boardActive
-            : PALETTE.boardInactive;
+        const boardTone = getBoardTone(game, boardIndex);
+        const boardOverlayColor = theme.overlays[boardTone] ?? null;
+        const boardColor = getBoardColor(game, boardIndex, theme);
+        const cellColor = theme.cells[boardTone];
+        const winningCells = new Set(board.winningLines.flat());
 
         return (
           <group key={`board-${boardIndex}`}>
             {boardPlayable && !boardResolved && !gameOver ? (
               <mesh position={[center.x, center.y, -0.03]}>
                 <planeGeometry args={[boardSpan + lineThickness * 1.6, boardSpan + lineThickness * 1.6]} />
-                <meshStandardMaterial color="#f0abfc" transparent opacity={0.22} />
+                <meshStandardMaterial color={theme.board.glow} transparent opacity={0.22} />
               </mesh>
             ) : null}
 
+            {["X", "O"].map((player, ringIndex) => {
+              if (!(analysis?.boardThreats[boardIndex][player].length > 0)) {
+                return null;
+              }
+              const ringSpan = boardSpan + lineThickness * (3 + ringIndex * 2);
+              return (
+                <mesh
+                  key={`threat-${boardIndex}-${player}`}
+                  position={[center.x, center.y, -0.035 - ringIndex * 0.002]}
+                >
+                  <planeGeometry args={[ringSpan, ringSpan]} />
+                  <meshBasicMaterial color={theme.pieces[player.toLowerCase()]} />
+                </mesh>
+              );
+            })}
+
             <mesh position={[center.x, center.y, -0.04]}>
               <planeGeometry args={[boardSpan, boardSpan]} />
               <meshStandardMaterial color={boardColor} roughness={0.95} metalness={0.02} />
@@ -311,17 +652,35 @@ const BoardScene = ({ game, onCellClick, layout }) => {
               </mesh>
             ) : null}
 
+            {hint?.sendBoardIndex === boardIndex ? (
+              <mesh position={[center.x, center.y, 0.036]}>
+                <planeGeometry args={[boardSpan - lineThickness, boardSpan - lineThickness]} />
+                <meshBasicMaterial color={theme.board.hint} transparent opacity={0.3} />
+              </mesh>
+            ) : null}
+
+            {preview?.sendBoardIndex === boardIndex ? (
+              <mesh position={[center.x, center.y, 0.035]}>
+                <planeGeometry args={[boardSpan - lineThickness, boardSpan - lineThickness]} />
+                <meshBasicMaterial
+                  color={theme.pieces[preview.opponent.toLowerCase()]}
+                  transparent
+                  opacity={0.25}
+                />
+              </mesh>
+            ) : null}
+
             {Array.from({ length: size - 1 }, (_, lineIndex) => {
               const offset = (lineIndex + 1 - size / 2) * cellSize;
               return (
                 <group key={`local-lines-${boardIndex}-${lineIndex}`}>
                   <mesh position={[center.x + offset, center.y, 0.04]}>
                     <boxGeometry args={[lineThickness, boardSpan, lineThickness]} />
-                    <meshStandardMaterial color={PALETTE.lineLocal} />
+                    <meshStandardMaterial color={theme.board.lineLocal} />
                   </mesh>
                   <mesh position={[center.x, center.y - offset, 0.04]}>
                     <boxGeometry args={[boardSpan, lineThickness, lineThickness]} />
-                    <meshStandardMaterial color={PALETTE.lineLocal} />
+                    <meshStandardMaterial color={theme.board.lineLocal} />
                   </mesh>
                 </group>
               );
@@ -331,34 +690,27 @@ const BoardScene = ({ game, onCellClick, layout }) => {
               const { row, col } = indexToCoords(cellIndex, size);
               const x = center.x + (col - boardCenterOffset) * cellSize;
               const y = center.y + (boardCenterOffset - row) * cellSize;
-
-              let cellColor = "#fff1f2";
-              if (!boardPlayable && !boardResolved && !gameOver) {
-                cellColor = "#e9e4ff";
-              }
-              if (boardResolved) {
-                if (board.winner === "X") {
-                  cellColor = "#ffd0f2";
-                } else if (board.winner === "O") {
-                  cellColor = "#cffafe";
-                } else {
-                  cellColor = "#ddd6fe";
-                }
-              }
-
-              const disabled =
-                gameOver || boardResolved || !boardPlayable || cellValue !== null;
+              const disabled = !isCellClickable(game, boardIndex, cellIndex, readOnly);
 
               return (
                 <group key={`cell-${boardIndex}-${cellIndex}`}>
                   <mesh
                     position={[x, y, 0]}
-                    onPointerDown={(event) => {
+                    onClick={(event) => {
                       event.stopPropagation();
-                      if (!disabled) {
+                      if (!disabled && event.delta <= TAP_SLOP_PX) {
                         onCellClick(boardIndex, cellIndex);
                       }
                     }}
+                    onPointerOver={
+                      onCellHover && !disabled
+                        ? (event) => {
+                            event.stopPropagation();
+                            onCellHover(boardIndex, cellIndex);
+                          }
+                        : undefined
+                    }
+                    onPointerOut={onCellHover ? () => onCellHover(null) : undefined}
                   >
                     <planeGeometry args={[cellSize * 0.92, cellSize * 0.92]} />
                     <meshStandardMaterial
@@ -370,24 +722,63 @@ const BoardScene = ({ game, onCellClick, layout }) => {
                     />
                   </mesh>
 
+                  {winningCells.has(cellIndex) ? (
+                    <mesh position={[x, y, 0.05]}>
+                      <planeGeometry args={[cellSize * 0.92, cellSize * 0.92]} />
+                      <meshBasicMaterial
+                        color={theme.pieces[board.winner.toLowerCase()]}
+                        transparent
+                        opacity={board.winningMove?.cellIndex === cellIndex ? 0.7 : 0.4}
+                      />
+                    </mesh>
+                  ) : null}
+
+                  {hint?.boardIndex === boardIndex && hint.cellIndex === cellIndex ? (
+                    <mesh position={[x, y, 0.12]}>
+                      <torusGeometry
+                        args={[cellSize * 0.38, Math.max(cellSize * 0.05, 0.02), 12, 40]}
+                      />
+                      <meshBasicMaterial color={theme.board.hint} />
+                    </mesh>
+                  ) : null}
+
                   {cellValue ? (
                     <AnimatedPiece
                       value={cellValue}
                       x={x}
                       y={y}
                       cellSize={cellSize}
+                      pieces={theme.pieces}
                       isLatestMove={
                         Boolean(game.lastMove) &&
                         game.lastMove.boardIndex === boardIndex &&
                         game.lastMove.cellIndex === cellIndex &&
                         game.lastMove.player === cellValue
                       }
-                      animationToken={game.lastMove?.timestamp ?? game.moveCount}
+                      animationToken={getMoveToken(game)}
+                      reducedMotion={reducedMotion}
                     />
                   ) : null}
                 </group>
               );
             })}
+
+            {board.winner ? (
+              <CaptureMark
+                player={board.winner}
+                x={center.x}
+                y={center.y}
+                boardSpan={boardSpan}
+                pieces={theme.pieces}
+                animate={
+                  justPlayed &&
+                  game.lastMove?.boardIndex === boardIndex &&
+                  game.lastMove.player === board.winner
+                }
+                animationToken={getMoveToken(game)}
+                reducedMotion={reducedMotion}
+              />
+            ) : null}
           </group>
         );
       })}
@@ -398,58 +789,171 @@ const BoardScene = ({ game, onCellClick, layout }) => {
           <group key={`meta-lines-${lineIndex}`}>
             <mesh position={[offset, 0, 0.07]}>
               <boxGeometry args={[lineThickness * 2, totalSpan, lineThickness * 2]} />
-              <meshStandardMaterial color={PALETTE.lineMeta} />
+              <meshStandardMaterial color={theme.board.lineMeta} />
             </mesh>
             <mesh position={[0, -offset, 0.07]}>
               <boxGeometry args={[totalSpan, lineThickness * 2, lineThickness * 2]} />
-              <meshStandardMaterial color={PALETTE.lineMeta} />
+              <meshStandardMaterial color={theme.board.lineMeta} />
             </mesh>
           </group>
         );
       })}
+
+      {metaBeams.map((beam) => (
+        <MetaWinBeam
+          key={`beam-${beam.key}`}
+          start={beam.start}
+          end={beam.end}
+          thickness={lineThickness * 3}
+          color={theme.pieces[game.winner.toLowerCase()]}
+          reducedMotion={reducedMotion}
+        />
+      ))}
+      {game.winner && justPlayed && !reducedMotion && preset.confetti > 0 ? (
+        <ConfettiBurst
+          key={`confetti-${getMoveToken(game)}`}
+          count={preset.confetti}
+          spread={totalSpan * 0.55}
+          particleSize={Math.max(cellSize * 0.3, 0.12)}
+          colors={[theme.pieces.x, theme.pieces.o, theme.board.glow]}
+        />
+      ) : null}
     </>
   );
 };
 
-const Board3D = ({ game, onCellClick }) => {
+const Board3D = ({
+  game,
+  onCellClick,
+  readOnly = false,
+  quality = "auto",
+  reducedMotion = false,
+  theme = getTheme(),
+  analysis = null,
+  preview = null,
+  hint = null,
+  onCellHover,
+  cameraView = "top",
+  autoFocus = false,
+  justPlayed = false,
+}) => {
   const layout = useMemo(() => getLayout(game.size), [game.size]);
+  const [resetToken, setResetToken] = useState(0);
+  const focusBoardIndex =
+    autoFocus && game.nextBoardIndex !== null && canPlayInBoard(game, game.nextBoardIndex)
+      ? game.nextBoardIndex
+      : null;
+  const focus = useMemo(
+    () =>
+      focusBoardIndex === null
+        ? null
+        : {
+            ...getBoardCenter(focusBoardIndex, game.size, layout),
+            span: layout.boardSpan * FOCUS_SPAN_BOARDS,
+          },
+    [focusBoardIndex, game.size, layout],
+  );
   const chromaticOffset = useMemo(() => new Vector2(0.0012, 0.0018), []);
-  const cameraZ = Math.max(18, layout.totalSpan * 1.45);
-  const minDistance = Math.max(6, layout.totalSpan * 0.3);
+  const [autoLevel, setAutoLevel] = useState(AUTO_START_LEVEL);
+  const level = quality === "auto" ? autoLevel : quality;
+  const preset = QUALITY_PRESETS[level] ?? QUALITY_PRESETS[AUTO_START_LEVEL];
+  // Post effects need both the preset and the theme to ask for them.
+  const { effects } = theme;
+  const showBloom = preset.bloom && effects.bloom > 0;
+  const showAberration = preset.chromaticAberration && effects.chromaticAberration;
+  const showNoise = preset.noise && effects.noise > 0;
+  const showVignette = preset.vignette && effects.vignette > 0;
+  const effectLayers = [showBloom, showAberration, showNoise, showVignette];
+  const hasEffects = effectLayers.some(Boolean);
+  const cameraZ = getFramingDistance(layout.totalSpan, 1);
+  const minDistance = Math.max(Math.min(6, layout.totalSpan * 0.8), layout.totalSpan * 0.3);
   const maxDistance = Math.max(34, layout.totalSpan * 6);
   const farPlane = Math.max(2200, maxDistance * 3);
 
+  // Auto quality steps down below 60% of the display's refresh rate and back up above 90%;
+  // after a few flip-flops it settles on the lower level.
   return (
     <div className="board-canvas">
       <Canvas
         key={`board-canvas-${game.size}`}
-        camera={{ position: [0, 0, cameraZ], fov: 48, near: 0.1, far: farPlane }}
+        dpr={preset.dpr}
+        camera={{ position: [0, 0, cameraZ], fov: CAMERA_FOV, near: 0.1, far: farPlane }}
       >
-        <color attach="background" args={["#12042b"]} />
-        <fog attach="fog" args={["#21053d", Math.max(28, layout.totalSpan * 0.85), farPlane]} />
-        <BoardScene game={game} onCellClick={onCellClick} layout={layout} />
+        {quality === "auto" ? (
+          <PerformanceMonitor
+            bounds={(refreshRate) => [refreshRate * 0.6, refreshRate * 0.9]}
+            flipflops={3}
+            onDecline={() => setAutoLevel((current) => stepQualityLevel(current, -1))}
+            onIncline={() => setAutoLevel((current) => stepQualityLevel(current, 1))}
+            onFallback={() => setAutoLevel((current) => stepQualityLevel(current, -1))}
+          />
+        ) : null}
+        <color attach="background" args={[theme.scene.background]} />
+        <fog
+          attach="fog"
+          args={[theme.scene.fog, Math.max(28, layout.totalSpan * 0.85), farPlane]}
+        />
+        <BoardScene
+          game={game}
+          onCellClick={onCellClick}
+          layout={layout}
+          onCellHover={onCellHover}
+          readOnly={readOnly}
+          preset={preset}
+          theme={theme}
+          reducedMotion={reducedMotion}
+          analysis={analysis}
+          preview={preview}
+          hint={hint}
+          justPlayed={justPlayed}
+        />
+        <CameraRig
+          view={cameraView}
+          totalSpan={layout.totalSpan}
+          focus={focus}
+          resetToken={resetToken}
+          reducedMotion={reducedMotion}
+        />
         <OrbitControls
           makeDefault
           enablePan
           enableRotate={false}
+          touches={{ ONE: null, TWO: TOUCH.DOLLY_PAN }}
           zoomSpeed={1.1}
           panSpeed={0.85}
           minDistance={minDistance}
           maxDistance={maxDistance}
         />
-        <EffectComposer>
-          <Bloom
-            intensity={1.08}
-            luminanceThreshold={0.15}
-            luminanceSmoothing={0.9}
-            radius={0.78}
-            mipmapBlur
-          />
-          <ChromaticAberration offset={chromaticOffset} radialModulation modulationOffset={0.35} />
-          <Noise premultiply opacity={0.12} blendFunction={BlendFunction.SOFT_LIGHT} />
-          <Vignette eskil={false} offset={0.2} darkness={0.82} />
-        </EffectComposer>
+        {hasEffects ? (
+          <EffectComposer key={`effects-${effectLayers.join("-")}`}>
+            {showBloom ? (
+              <Bloom
+                intensity={effects.bloom}
+                luminanceThreshold={0.15}
+                luminanceSmoothing={0.9}
+                radius={0.78}
+                mipmapBlur
+              />
+            ) : null}
+            {showAberration ? (
+              <ChromaticAberration offset={chromaticOffset} radialModulation modulationOffset={0.35} />
+            ) : null}
+            {showNoise ? (
+              <Noise premultiply opacity={effects.noise} blendFunction={BlendFunction.SOFT_LIGHT} />
+            ) : null}
+            {showVignette ? (
+              <Vignette eskil={false} offset={0.2} darkness={effects.vignette} />
+            ) : null}
+          </EffectComposer>
+        ) : null}
       </Canvas>
+      <button
+        type="button"
+        className="board-view-reset"
+        onClick={() => setResetToken((current) => current + 1)}
+      >
+        Reset view
+      </button>
     </div>
   );
 };
@@ -0,0 +1,24 @@
+import { Component } from "react";
+
+// Error boundaries still have to be classes. If the WebGL board throws (context creation
+// failed, driver crash), this swaps in the fallback renderer and reports it once.
+class BoardFallback extends Component {
+  constructor(props) {
+    super(props);
+    this.state = { failed: false };
+  }
+
+  static getDerivedStateFromError() {
+    return { failed: true };
+  }
+
+  componentDidCatch(error) {
+    this.props.onFallback?.(error);
+  }
+
+  render() {
+    return this.state.failed ? this.props.fallback : this.props.children;
+  }
+}
+
+export default BoardFallback;
@@ -0,0 +1,90 @@
+import { CAMERA_FOCUS_MODES, CAMERA_VIEWS, MOTION_MODES, QUALITY_MODES } from "./graphicsQuality";
+import { RENDERER_MODES, resolveRenderer } from "./rendererSupport";
+import { THEME_OPTIONS } from "./themes";
+
+const OptionSelect = ({ label, options, value, onChange, disabled = false }) => (
+  <label className="control-select">
+    {label}
+    <select value={value} disabled={disabled} onChange={(event) => onChange(event.target.value)}>
+      {options.map((option) => (
+        <option key={option.id} value={option.id}>
+          {option.label}
+        </option>
+      ))}
+    </select>
+  </label>
+);
+
+const DisplayPanel = ({ settings, renderer, onChange, onClose }) => {
+  const rendererOptions = RENDERER_MODES.map((mode) =>
+    mode.id === "auto"
+      ? { ...mode, label: `${mode.label} (${resolveRenderer("auto").toUpperCase()})` }
+      : mode,
+  );
+
+  return (
+    <section className="side-panel" aria-label="Display settings">
+      <div className="side-panel-header">
+        <h2>Display</h2>
+        <button type="button" onClick={onClose}>
+          Close
+        </button>
+      </div>
+
+      <div className="rules-grid">
+        <OptionSelect
+          label="Theme"
+          options={THEME_OPTIONS}
+          value={settings.themeId}
+          onChange={(themeId) => onChange({ themeId })}
+        />
+        <OptionSelect
+          label="Board"
+          options={rendererOptions}
+          value={settings.rendererMode}
+          onChange={(rendererMode) => onChange({ rendererMode })}
+        />
+        <OptionSelect
+          label="3D quality"
+          options={QUALITY_MODES}
+          value={settings.graphicsQuality}
+          disabled={renderer !== "3d"}
+          onChange={(graphicsQuality) => onChange({ graphicsQuality })}
+        />
+        <OptionSelect
+          label="Motion"
+          options={MOTION_MODES}
+          value={settings.motionMode}
+          onChange={(motionMode) => onChange({ motionMode })}
+        />
+        <OptionSelect
+          label="Camera"
+          options={CAMERA_VIEWS}
+          value={settings.cameraView}
+          disabled={renderer !== "3d"}
+          onChange={(cameraView) => onChange({ cameraView })}
+        />
+        <OptionSelect
+          label="Auto-focus"
+          options={CAMERA_FOCUS_MODES}
+          value={settings.cameraFocus}
+          disabled={renderer !== "3d"}
+          onChange={(cameraFocus) => onChange({ cameraFocus })}
+        />
+      </div>
+      <p className="panel-note">
+        High contrast and Colorblind-safe pick X and O colours that differ in brightness as well as
+        hue. Auto quality lowers particles and post effects when frames slow down and raises them
+        again when there is headroom. Reduced motion turns off the piece drop, ripples and drifting
+        backdrop.
+      </p>
+      <p className="panel-note">
+        Auto-focus glides the 3D camera to the board the next move must go to. Pinch to zoom and
+        drag with two fingers to pan on touch screens; Reset view on the board restores the
+        camera.
+      </p>
+    </section>
+  );
+};
+
+export default DisplayPanel;
@@ -0,0 +1,24 @@
+import { LOW_TIME_MS, formatClock, getRemainingMs } from "./gameClock";
+
+const GameClocks = ({ clock, now }) => (
+  <div className="clock-row" aria-label="Clocks">
+    {["X", "O"].map((player) => {
+      const remaining = getRemainingMs(clock, player, now);
+      const classes = [
+        "clock-face",
+        clock.activePlayer === player ? "active" : "",
+        remaining < LOW_TIME_MS ? "low" : "",
+      ]
+        .filter(Boolean)
+        .join(" ");
+
+      return (
+        <span key={player} className={classes}>
+          {player} {formatClock(remaining)}
+        </span>
+      );
+    })}
+  </div>
+);
+
+export default GameClocks;
@@ -0,0 +1,106 @@
+import { useState } from "react";
+import { describeGameStatus } from "./gameStore";
+
+const formatUpdatedAt = (timestamp) =>
+  new Date(timestamp).toLocaleString(undefined, {
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+const GameNameField = ({ entry, onRename }) => {
+  const [draft, setDraft] = useState(entry.name);
+
+  const commit = () => {
+    if (draft.trim() && draft.trim() !== entry.name) {
+      onRename(entry.id, draft);
+    } else {
+      setDraft(entry.name);
+    }
+  };
+
+  return (
+    <input
+      className="library-name"
+      value={draft}
+      aria-label={`Rename ${entry.name}`}
+      onChange={(event) => setDraft(event.target.value)}
+      onBlur={commit}
+      onKeyDown={(event) => {
+        if (event.key === "Enter") {
+          event.currentTarget.blur();
+        } else if (event.key === "Escape") {
+          setDraft(entry.name);
+        }
+      }}
+    />
+  );
+};
+
+const GameLibraryPanel = ({
+  games,
+  activeGameId,
+  onCreate,
+  onSelect,
+  onRename,
+  onDuplicate,
+  onDelete,
+  onClose,
+}) => {
+  const sortedGames = games.slice().sort((left, right) => right.updatedAt - left.updatedAt);
+
+  return (
+    <section className="side-panel" aria-label="Game library">
+      <div className="side-panel-header">
+        <h2>Games ({games.length})</h2>
+        <div className="side-panel-actions">
+          <button type="button" onClick={onCreate}>
+            Create game
+          </button>
+          <button type="button" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+
+      <ul className="library-list">
+        {sortedGames.map((entry) => {
+          const status = describeGameStatus(entry.gameState);
+          const isActive = entry.id === activeGameId;
+          const { size } = entry.gameState;
+
+          return (
+            <li key={entry.id} className={isActive ? "active" : undefined}>
+              <GameNameField key={entry.name} entry={entry} onRename={onRename} />
+              <span className={`library-status ${status.kind}`}>{status.label}</span>
+              <span className="library-meta">
+                {size}×{size} • {entry.gameState.moveCount} moves • {formatUpdatedAt(entry.updatedAt)}
+              </span>
+              <div className="side-panel-actions">
+                <button type="button" onClick={() => onSelect(entry.id)} disabled={isActive}>
+                  {isActive ? "Playing" : "Switch"}
+                </button>
+                <button type="button" onClick={() => onDuplicate(entry.id)}>
+                  Duplicate
+                </button>
+                <button
+                  type="button"
+                  onClick={() => {
+                    if (window.confirm(`Delete "${entry.name}"?`)) {
+                      onDelete(entry.id);
+                    }
+                  }}
+                >
+                  Delete
+                </button>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </section>
+  );
+};
+
+export default GameLibraryPanel;
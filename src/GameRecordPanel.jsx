@@ -0,0 +1,112 @@
+import { useMemo, useRef, useState } from "react";
+import { exportGameRecord, importGameRecord } from "./gameRecord";
+
+const RECORD_FILE_EXTENSION = ".sttt";
+
+const downloadText = (fileName, text) => {
+  const blob = new Blob([text], { type: "text/plain" });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const GameRecordPanel = ({ game, recordOptions, onImport, onReview, onClose }) => {
+  const exportedText = useMemo(() => exportGameRecord(game, recordOptions), [game, recordOptions]);
+  const [draft, setDraft] = useState(exportedText);
+  const [message, setMessage] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const handleImport = (text, handler = onImport) => {
+    const result = importGameRecord(text);
+    if (!result.ok) {
+      setMessage({ kind: "error", text: result.error });
+      return;
+    }
+
+    const importError = handler(result);
+    if (importError) {
+      setMessage({ kind: "error", text: importError });
+      return;
+    }
+    setMessage({ kind: "ok", text: `Imported ${result.game.moveCount} moves.` });
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(exportedText);
+      setMessage({ kind: "ok", text: "Record copied to clipboard." });
+    } catch {
+      setMessage({ kind: "error", text: "Clipboard is unavailable; copy the text manually." });
+    }
+  };
+
+  const handleFileChange = async (event) => {
+    const [file] = event.target.files ?? [];
+    event.target.value = "";
+    if (!file) {
+      return;
+    }
+    let text;
+    try {
+      text = await file.text();
+    } catch {
+      setMessage({ kind: "error", text: `Could not read ${file.name}.` });
+      return;
+    }
+    setDraft(text);
+    handleImport(text);
+  };
+
+  return (
+    <section className="side-panel" aria-label="Game record">
+      <div className="side-panel-header">
+        <h2>Game record</h2>
+        <button type="button" onClick={onClose}>
+          Close
+        </button>
+      </div>
+      <textarea
+        className="record-text"
+        value={draft}
+        spellCheck={false}
+        onChange={(event) => setDraft(event.target.value)}
+      />
+      {message ? <p className={`panel-message ${message.kind}`}>{message.text}</p> : null}
+      <div className="side-panel-actions">
+        <button type="button" onClick={() => setDraft(exportedText)}>
+          Show current game
+        </button>
+        <button type="button" onClick={handleCopy}>
+          Copy
+        </button>
+        <button
+          type="button"
+          onClick={() => downloadText(`super-ttt-${Date.now()}${RECORD_FILE_EXTENSION}`, exportedText)}
+        >
+          Download
+        </button>
+        <button type="button" onClick={() => handleImport(draft)}>
+          Import text
+        </button>
+        <button type="button" onClick={() => handleImport(draft, onReview)}>
+          Review text
+        </button>
+        <button type="button" onClick={() => fileInputRef.current?.click()}>
+          Import file
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept={`${RECORD_FILE_EXTENSION},.txt,text/plain`}
+          hidden
+          onChange={handleFileChange}
+        />
+      </div>
+    </section>
+  );
+};
+
+export default GameRecordPanel;
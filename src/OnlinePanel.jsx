@@ -0,0 +1,105 @@
+import { useState } from "react";
+import { getDefaultRelayUrl } from "./onlineClient";
+
+const STATUS_LABELS = {
+  idle: "Not connected",
+  connecting: "Connecting…",
+  open: "Connected",
+  reconnecting: "Connection lost, reconnecting…",
+  closed: "Disconnected",
+};
+
+const describeOpponentPresence = (presence, side) => {
+  const opponentSide = side === "X" ? "O" : "X";
+  const seat = presence?.[opponentSide];
+  if (!seat?.taken) {
+    return `Waiting for ${opponentSide} to join`;
+  }
+  return seat.online ? `${opponentSide} is online` : `${opponentSide} is offline`;
+};
+
+const OnlinePanel = ({ opponent, online, onCreate, onJoin, onLeave, onClose }) => {
+  const [serverUrl, setServerUrl] = useState(opponent.serverUrl ?? getDefaultRelayUrl());
+  const [side, setSide] = useState("X");
+  const [roomCode, setRoomCode] = useState("");
+  const inRoom = opponent.type === "online";
+
+  return (
+    <section className="side-panel" aria-label="Online play">
+      <div className="side-panel-header">
+        <h2>Online play</h2>
+        <button type="button" onClick={onClose}>
+          Close
+        </button>
+      </div>
+
+      {inRoom ? (
+        <>
+          <p className="online-room">
+            Room <strong>{opponent.code ?? "…"}</strong> • You play{" "}
+            <strong>{opponent.side ?? "…"}</strong>
+          </p>
+          <p className="panel-note">
+            {STATUS_LABELS[online.status] ?? online.status}
+            {online.status === "open" && opponent.side
+              ? ` • ${describeOpponentPresence(online.presence, opponent.side)}`
+              : ""}
+          </p>
+          {online.error ? <p className="panel-message error">{online.error}</p> : null}
+          <div className="side-panel-actions">
+            <button type="button" onClick={onLeave}>
+              Leave room
+            </button>
+          </div>
+        </>
+      ) : (
+        <>
+          <label className="control-select online-field">
+            Relay server
+            <input
+              value={serverUrl}
+              spellCheck={false}
+              onChange={(event) => setServerUrl(event.target.value)}
+            />
+          </label>
+          <div className="side-panel-actions">
+            <label className="control-select">
+              Play as
+              <select value={side} onChange={(event) => setSide(event.target.value)}>
+                <option value="X">X</option>
+                <option value="O">O</option>
+              </select>
+            </label>
+            <button type="button" onClick={() => onCreate(serverUrl.trim(), side)}>
+              Create room
+            </button>
+          </div>
+          <div className="side-panel-actions">
+            <label className="control-select">
+              Room code
+              <input
+                value={roomCode}
+                maxLength={8}
+                spellCheck={false}
+                onChange={(event) => setRoomCode(event.target.value.toUpperCase())}
+              />
+            </label>
+            <button
+              type="button"
+              disabled={!roomCode.trim()}
+              onClick={() => onJoin(serverUrl.trim(), roomCode.trim())}
+            >
+              Join room
+            </button>
+          </div>
+          <p className="panel-note">
+            New rooms use the size and rules chosen for new games. Start the relay with{" "}
+            <code>npm run relay</code>.
+          </p>
+        </>
+      )}
+    </section>
+  );
+};
+
+export default OnlinePanel;
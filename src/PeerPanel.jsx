@@ -0,0 +1,168 @@
+import { useState } from "react";
+import { isPeerLinkSupported } from "./peerLink";
+
+const STATUS_LABELS = {
+  idle: "Not linked",
+  preparing: "Preparing a link code…",
+  inviting: "Waiting for the other player's reply code",
+  replying: "Waiting for the host to paste your reply code",
+  connecting: "Connecting…",
+  open: "Linked",
+  closed: "Link closed",
+  failed: "Link failed",
+};
+
+const SignalBox = ({ label, signal }) => {
+  const [copied, setCopied] = useState(null);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(signal);
+      setCopied("Copied to clipboard.");
+    } catch {
+      setCopied("Clipboard is unavailable; copy the code manually.");
+    }
+  };
+
+  return (
+    <>
+      <p className="panel-note">{label}</p>
+      <textarea className="record-text peer-code" value={signal} readOnly spellCheck={false} />
+      <div className="side-panel-actions">
+        <button type="button" onClick={handleCopy}>
+          Copy code
+        </button>
+        {copied ? <span className="panel-note">{copied}</span> : null}
+      </div>
+    </>
+  );
+};
+
+const PeerPanel = ({ opponent, peer, onHost, onJoin, onLeave, onClose }) => {
+  const [side, setSide] = useState("X");
+  const [pasted, setPasted] = useState("");
+  const inPeerGame = opponent.type === "peer";
+  const linking = ["idle", "closed", "failed"].includes(peer.status);
+
+  const header = (
+    <div className="side-panel-header">
+      <h2>Peer-to-peer</h2>
+      <button type="button" onClick={onClose}>
+        Close
+      </button>
+    </div>
+  );
+
+  if (!isPeerLinkSupported()) {
+    return (
+      <section className="side-panel" aria-label="Peer-to-peer play">
+        {header}
+        <p className="panel-message error">This browser does not support WebRTC.</p>
+      </section>
+    );
+  }
+
+  if (!inPeerGame) {
+    return (
+      <section className="side-panel" aria-label="Peer-to-peer play">
+        {header}
+        <div className="side-panel-actions">
+          <label className="control-select">
+            Play as
+            <select value={side} onChange={(event) => setSide(event.target.value)}>
+              <option value="X">X</option>
+              <option value="O">O</option>
+            </select>
+          </label>
+          <button type="button" onClick={() => onHost(side)}>
+            Host a game
+          </button>
+          <button type="button" onClick={onJoin}>
+            Join a game
+          </button>
+        </div>
+        <p className="panel-note">
+          Browsers link directly, without a server. The host sends an invitation code and the
+          other player answers with a reply code; share them by chat, email or any other way.
+        </p>
+      </section>
+    );
+  }
+
+  return (
+    <section className="side-panel" aria-label="Peer-to-peer play">
+      {header}
+      <p className="online-room">
+        You play <strong>{opponent.side ?? "…"}</strong> •{" "}
+        {STATUS_LABELS[peer.status] ?? peer.status}
+      </p>
+      {peer.error ? <p className="panel-message error">{peer.error}</p> : null}
+
+      {peer.status === "inviting" && peer.signal ? (
+        <>
+          <SignalBox label="1. Send this invitation code to the other player." signal={peer.signal} />
+          <p className="panel-note">2. Paste their reply code here.</p>
+          <textarea
+            className="record-text peer-code"
+            value={pasted}
+            spellCheck={false}
+            onChange={(event) => setPasted(event.target.value)}
+          />
+          <div className="side-panel-actions">
+            <button type="button" disabled={!pasted.trim()} onClick={() => peer.completeHost(pasted)}>
+              Connect
+            </button>
+          </div>
+        </>
+      ) : null}
+
+      {peer.status === "replying" && peer.signal ? (
+        <SignalBox label="Send this reply code back to the host." signal={peer.signal} />
+      ) : null}
+
+      {linking ? (
+        <>
+          <div className="side-panel-actions">
+            <button
+              type="button"
+              disabled={!opponent.side}
+              onClick={() => {
+                setPasted("");
+                peer.host();
+              }}
+            >
+              Create invitation
+            </button>
+          </div>
+          <p className="panel-note">Or paste the host's invitation code to join:</p>
+          <textarea
+            className="record-text peer-code"
+            value={pasted}
+            spellCheck={false}
+            onChange={(event) => setPasted(event.target.value)}
+          />
+          <div className="side-panel-actions">
+            <button
+              type="button"
+              disabled={!pasted.trim()}
+              onClick={() => {
+                peer.join(pasted);
+                setPasted("");
+              }}
+            >
+              Reply to invitation
+            </button>
+          </div>
+        </>
+      ) : null}
+
+      <div className="side-panel-actions">
+        <button type="button" onClick={onLeave}>
+          Leave peer game
+        </button>
+      </div>
+    </section>
+  );
+};
+
+export default PeerPanel;
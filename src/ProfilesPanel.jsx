@@ -0,0 +1,161 @@
+import { useState } from "react";
+import { getProfileTotals } from "./playerProfiles";
+
+const formatRecord = ({ wins, losses, draws }) => `${wins}-${losses}-${draws}`;
+
+const formatLength = (averageLength) =>
+  averageLength === null ? "–" : `${averageLength.toFixed(1)} moves`;
+
+const SeatSelect = ({ side, profiles, players, seatedSides, locked, onAssign }) => {
+  const seated = seatedSides.includes(side);
+  const profileId = profiles.some((profile) => profile.id === players[side]) ? players[side] : "";
+
+  return (
+    <label className="control-select">
+      {side}
+      <select
+        value={seated ? profileId : ""}
+        disabled={!seated || locked}
+        onChange={(event) => onAssign(side, event.target.value || null)}
+      >
+        <option value="">{seated ? "Guest" : "Not a local player"}</option>
+        {profiles.map((profile) => (
+          <option key={profile.id} value={profile.id}>
+            {profile.name} ({profile.rating})
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+const ProfilesPanel = ({
+  profiles,
+  players,
+  seatedSides,
+  locked,
+  onAssign,
+  onCreate,
+  onRename,
+  onDelete,
+  onClose,
+}) => {
+  const [draftName, setDraftName] = useState("");
+  const ranked = profiles.slice().sort((left, right) => right.rating - left.rating);
+
+  const handleCreate = () => {
+    if (draftName.trim()) {
+      onCreate(draftName);
+      setDraftName("");
+    }
+  };
+
+  return (
+    <section className="side-panel" aria-label="Players">
+      <div className="side-panel-header">
+        <h2>Players ({profiles.length})</h2>
+        <button type="button" onClick={onClose}>
+          Close
+        </button>
+      </div>
+
+      <div className="side-panel-actions">
+        {["X", "O"].map((side) => (
+          <SeatSelect
+            key={side}
+            side={side}
+            profiles={profiles}
+            players={players}
+            seatedSides={seatedSides}
+            locked={locked}
+            onAssign={onAssign}
+          />
+        ))}
+      </div>
+      <p className="panel-note">
+        {locked
+          ? "Players are fixed once the first move is played."
+          : "Pick who plays this game; finished games update their stats and rating."}
+      </p>
+
+      <div className="side-panel-actions">
+        <input
+          className="profile-name"
+          value={draftName}
+          placeholder="New player name"
+          aria-label="New player name"
+          maxLength={24}
+          onChange={(event) => setDraftName(event.target.value)}
+          onKeyDown={(event) => {
+            if (event.key === "Enter") {
+              handleCreate();
+            }
+          }}
+        />
+        <button type="button" onClick={handleCreate} disabled={!draftName.trim()}>
+          Add player
+        </button>
+      </div>
+
+      {ranked.length > 0 ? (
+        <table className="profile-table">
+          <thead>
+            <tr>
+              <th scope="col">Player</th>
+              <th scope="col">Rating</th>
+              <th scope="col">Games</th>
+              <th scope="col">As X</th>
+              <th scope="col">As O</th>
+              <th scope="col">Avg length</th>
+              <th scope="col">Boards</th>
+              <th scope="col" aria-label="Actions" />
+            </tr>
+          </thead>
+          <tbody>
+            {ranked.map((profile) => {
+              const totals = getProfileTotals(profile);
+              return (
+                <tr key={profile.id}>
+                  <th scope="row">{profile.name}</th>
+                  <td>{profile.rating}</td>
+                  <td>{totals.games}</td>
+                  <td title="Wins-losses-draws">{formatRecord(profile.asX)}</td>
+                  <td title="Wins-losses-draws">{formatRecord(profile.asO)}</td>
+                  <td>{formatLength(totals.averageLength)}</td>
+                  <td>{profile.boardsCaptured}</td>
+                  <td>
+                    <button
+                      type="button"
+                      onClick={() => {
+                        const name = window.prompt("Rename player", profile.name);
+                        if (name?.trim()) {
+                          onRename(profile.id, name);
+                        }
+                      }}
+                    >
+                      Rename
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => {
+                        if (window.confirm(`Delete ${profile.name} and their stats?`)) {
+                          onDelete(profile.id);
+                        }
+                      }}
+                    >
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      ) : (
+        <p className="panel-note">No players yet. Add one to start tracking results.</p>
+      )}
+    </section>
+  );
+};
+
+export default ProfilesPanel;
@@ -0,0 +1,136 @@
+import { useRef, useState } from "react";
+import { getPuzzleKey } from "./puzzles";
+
+const PUZZLE_FILE_EXTENSION = ".json";
+
+const PuzzlePanel = ({ puzzle, pack, stats, dailyIndex, onSelect, onDaily, onLoadPack, onExit }) => {
+  const [draft, setDraft] = useState("");
+  const [loadErrors, setLoadErrors] = useState([]);
+  const fileInputRef = useRef(null);
+  const current = pack.puzzles[puzzle.puzzleIndex];
+  const isSolved = (entry) => stats.solved.includes(getPuzzleKey(pack, entry));
+  const solvedCount = pack.puzzles.filter(isSolved).length;
+
+  const handleLoad = (text) => {
+    setLoadErrors(onLoadPack(text) ?? []);
+  };
+
+  const handleFileChange = async (event) => {
+    const [file] = event.target.files ?? [];
+    event.target.value = "";
+    if (!file) {
+      return;
+    }
+    let text;
+    try {
+      text = await file.text();
+    } catch {
+      setLoadErrors([`Could not read ${file.name}.`]);
+      return;
+    }
+    setDraft(text);
+    handleLoad(text);
+  };
+
+  return (
+    <section className="side-panel" aria-label="Puzzles">
+      <div className="side-panel-header">
+        <h2>
+          {pack.title} {puzzle.puzzleIndex + 1}/{pack.puzzles.length}: {current.title}
+        </h2>
+        <button type="button" onClick={onExit}>
+          Exit puzzles
+        </button>
+      </div>
+
+      <p className="tutorial-task">
+        {puzzle.daily ? "Daily puzzle • " : ""}
+        {current.toMove} to move and win in {current.movesToWin}.
+      </p>
+      <p className={`panel-message ${puzzle.feedback?.kind ?? ""}`} aria-live="polite">
+        {puzzle.feedback?.text ?? ""}
+      </p>
+      <p className="panel-note">
+        Score {stats.score} • Streak {stats.streak} (best {stats.bestStreak}) • Daily streak{" "}
+        {stats.dailyStreak}
+      </p>
+
+      <div className="side-panel-actions">
+        <button
+          type="button"
+          onClick={() => onSelect(puzzle.puzzleIndex - 1)}
+          disabled={puzzle.puzzleIndex === 0}
+        >
+          Previous
+        </button>
+        <button type="button" onClick={() => onSelect(puzzle.puzzleIndex)}>
+          Retry
+        </button>
+        <button
+          type="button"
+          onClick={() => onSelect(puzzle.puzzleIndex + 1)}
+          disabled={puzzle.puzzleIndex === pack.puzzles.length - 1}
+        >
+          Next
+        </button>
+        <button type="button" onClick={onDaily} disabled={puzzle.daily !== null}>
+          Daily puzzle
+        </button>
+      </div>
+
+      <ol className="tutorial-lessons">
+        {pack.puzzles.map((entry, index) => (
+          <li key={entry.id}>
+            <button
+              type="button"
+              className={index === puzzle.puzzleIndex ? "current" : undefined}
+              onClick={() => onSelect(index)}
+            >
+              {isSolved(entry) ? "✓" : "○"} {entry.title}, win in {entry.movesToWin}
+              {index === dailyIndex ? " • today" : ""}
+            </button>
+          </li>
+        ))}
+      </ol>
+      <p className="panel-note">
+        {solvedCount} of {pack.puzzles.length} solved. A clean solve scores 100 per move, a solve
+        after a mistake 25; a mistake also resets the streak.
+      </p>
+
+      <textarea
+        className="record-text"
+        value={draft}
+        spellCheck={false}
+        placeholder="Paste a puzzle pack (JSON) to load it"
+        onChange={(event) => setDraft(event.target.value)}
+      />
+      {loadErrors.length > 0 ? (
+        <ul className="panel-message error">
+          {loadErrors.map((error) => (
+            <li key={error}>{error}</li>
+          ))}
+        </ul>
+      ) : null}
+      <div className="side-panel-actions">
+        <button type="button" onClick={() => handleLoad(draft)} disabled={!draft.trim()}>
+          Load pack
+        </button>
+        <button type="button" onClick={() => fileInputRef.current?.click()}>
+          Load file
+        </button>
+        <button type="button" onClick={() => handleLoad(null)}>
+          Starter pack
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept={`${PUZZLE_FILE_EXTENSION},application/json`}
+          hidden
+          onChange={handleFileChange}
+        />
+      </div>
+    </section>
+  );
+};
+
+export default PuzzlePanel;
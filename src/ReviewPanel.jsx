@@ -0,0 +1,105 @@
+import { useEffect, useState } from "react";
+import { formatMove } from "./gameRecord";
+
+const AUTO_PLAY_INTERVAL_MS = 1100;
+
+const ReviewPanel = ({ review, onSeek, onResume, onExit }) => {
+  const { moves, size, cursor, title } = review;
+  const [playing, setPlaying] = useState(false);
+  const atEnd = cursor >= moves.length;
+
+  useEffect(() => {
+    if (!playing) {
+      return undefined;
+    }
+    if (atEnd) {
+      setPlaying(false);
+      return undefined;
+    }
+
+    const timer = window.setTimeout(() => onSeek(cursor + 1), AUTO_PLAY_INTERVAL_MS);
+    return () => window.clearTimeout(timer);
+  }, [atEnd, cursor, onSeek, playing]);
+
+  const seek = (nextCursor) => {
+    setPlaying(false);
+    onSeek(nextCursor);
+  };
+
+  return (
+    <section className="side-panel" aria-label="Game review">
+      <div className="side-panel-header">
+        <h2>Review: {title}</h2>
+        <button type="button" onClick={onExit}>
+          Exit review
+        </button>
+      </div>
+
+      <div className="side-panel-actions">
+        <button type="button" onClick={() => seek(0)} disabled={cursor === 0} aria-label="First move">
+          ⏮
+        </button>
+        <button
+          type="button"
+          onClick={() => seek(cursor - 1)}
+          disabled={cursor === 0}
+          aria-label="Previous move"
+        >
+          ◀
+        </button>
+        <button
+          type="button"
+          onClick={() => {
+            if (atEnd) {
+              onSeek(0);
+            }
+            setPlaying((current) => !current);
+          }}
+          disabled={moves.length === 0}
+        >
+          {playing ? "Pause" : "Auto-play"}
+        </button>
+        <button type="button" onClick={() => seek(cursor + 1)} disabled={atEnd} aria-label="Next move">
+          ▶
+        </button>
+        <button
+          type="button"
+          onClick={() => seek(moves.length)}
+          disabled={atEnd}
+          aria-label="Last move"
+        >
+          ⏭
+        </button>
+        <button type="button" onClick={onResume}>
+          Resume from here
+        </button>
+      </div>
+
+      <input
+        className="review-slider"
+        type="range"
+        min={0}
+        max={moves.length}
+        value={cursor}
+        onChange={(event) => seek(Number(event.target.value))}
+        aria-label="Move position"
+      />
+
+      <ol className="review-move-list">
+        {moves.map((move, index) => (
+          <li key={`review-move-${index}`}>
+            <button
+              type="button"
+              className={index + 1 === cursor ? "current" : undefined}
+              onClick={() => seek(index + 1)}
+            >
+              {move.player ?? (index % 2 === 0 ? "X" : "O")} {formatMove(move, size)}
+            </button>
+          </li>
+        ))}
+      </ol>
+    </section>
+  );
+};
+
+export default ReviewPanel;
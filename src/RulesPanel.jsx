@@ -0,0 +1,123 @@
+import { BASE_MINUTE_OPTIONS, BONUS_SECOND_OPTIONS, TIME_CONTROL_TYPES } from "./gameClock";
+import {
+  DRAWN_BOARD_POLICIES,
+  FULL_BOARD_SEND_POLICIES,
+  META_TIEBREAK_POLICIES,
+} from "./gameRules";
+
+const PolicySelect = ({ label, policies, value, onChange }) => (
+  <label className="control-select">
+    {label}
+    <select value={value} onChange={(event) => onChange(event.target.value)}>
+      {policies.map((policy) => (
+        <option key={policy.id} value={policy.id}>
+          {policy.label}
+        </option>
+      ))}
+    </select>
+  </label>
+);
+
+const NumberSelect = ({ label, options, unit, value, onChange }) => (
+  <label className="control-select">
+    {label}
+    <select value={value} onChange={(event) => onChange(Number(event.target.value))}>
+      {options.map((option) => (
+        <option key={option} value={option}>
+          {option} {unit}
+        </option>
+      ))}
+    </select>
+  </label>
+);
+
+const RulesPanel = ({
+  rulesInput,
+  timeControlInput,
+  size,
+  onChange,
+  onTimeControlChange,
+  onClose,
+}) => {
+  const winLengthOptions = Array.from({ length: Math.max(size - 2, 0) }, (_, index) => index + 2);
+  const winLength =
+    rulesInput.winLength !== null && rulesInput.winLength < size ? rulesInput.winLength : "";
+
+  return (
+    <section className="side-panel" aria-label="Rule variants">
+      <div className="side-panel-header">
+        <h2>Rules for new games</h2>
+        <button type="button" onClick={onClose}>
+          Close
+        </button>
+      </div>
+
+      <div className="rules-grid">
+        <label className="control-select">
+          Win length
+          <select
+            value={winLength}
+            onChange={(event) =>
+              onChange({ winLength: event.target.value ? Number(event.target.value) : null })
+            }
+          >
+            <option value="">Full row ({size})</option>
+            {winLengthOptions.map((length) => (
+              <option key={length} value={length}>
+                {length}-in-a-row
+              </option>
+            ))}
+          </select>
+        </label>
+        <PolicySelect
+          label="Drawn boards"
+          policies={DRAWN_BOARD_POLICIES}
+          value={rulesInput.drawnBoards}
+          onChange={(drawnBoards) => onChange({ drawnBoards })}
+        />
+        <PolicySelect
+          label="Full-board send"
+          policies={FULL_BOARD_SEND_POLICIES}
+          value={rulesInput.fullBoardSend}
+          onChange={(fullBoardSend) => onChange({ fullBoardSend })}
+        />
+        <PolicySelect
+          label="Meta draw"
+          policies={META_TIEBREAK_POLICIES}
+          value={rulesInput.metaTiebreak}
+          onChange={(metaTiebreak) => onChange({ metaTiebreak })}
+        />
+        <PolicySelect
+          label="Clock"
+          policies={TIME_CONTROL_TYPES}
+          value={timeControlInput.type}
+          onChange={(type) => onTimeControlChange({ type })}
+        />
+        {timeControlInput.type !== "none" ? (
+          <NumberSelect
+            label="Time per player"
+            options={BASE_MINUTE_OPTIONS}
+            unit="min"
+            value={timeControlInput.baseMinutes}
+            onChange={(baseMinutes) => onTimeControlChange({ baseMinutes })}
+          />
+        ) : null}
+        {timeControlInput.type === "fischer" || timeControlInput.type === "delay" ? (
+          <NumberSelect
+            label={timeControlInput.type === "fischer" ? "Increment per move" : "Delay per move"}
+            options={BONUS_SECOND_OPTIONS}
+            unit="s"
+            value={timeControlInput.bonusSeconds}
+            onChange={(bonusSeconds) => onTimeControlChange({ bonusSeconds })}
+          />
+        ) : null}
+      </div>
+      <p className="panel-note">
+        Changes apply when you start a new game; the current game keeps its rules and clock. Online
+        and peer-to-peer games are untimed.
+      </p>
+    </section>
+  );
+};
+
+export default RulesPanel;
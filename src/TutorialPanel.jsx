@@ -0,0 +1,65 @@
+import { TUTORIAL_LESSONS } from "./tutorial";
+
+const TutorialPanel = ({ tutorial, progress, onSelect, onReset, onExit }) => {
+  const { lessonIndex, feedback } = tutorial;
+  const lesson = TUTORIAL_LESSONS[lessonIndex];
+  const solvedCount = TUTORIAL_LESSONS.filter((entry) => progress.includes(entry.id)).length;
+
+  return (
+    <section className="side-panel" aria-label="Tutorial">
+      <div className="side-panel-header">
+        <h2>
+          Tutorial {lessonIndex + 1}/{TUTORIAL_LESSONS.length}: {lesson.title}
+        </h2>
+        <button type="button" onClick={onExit}>
+          Exit tutorial
+        </button>
+      </div>
+
+      <p className="tutorial-text">{lesson.text}</p>
+      <p className="tutorial-task">{lesson.task}</p>
+      <p className={`panel-message ${feedback?.kind ?? ""}`} aria-live="polite">
+        {feedback?.text ?? ""}
+      </p>
+
+      <div className="side-panel-actions">
+        <button
+          type="button"
+          onClick={() => onSelect(lessonIndex - 1)}
+          disabled={lessonIndex === 0}
+        >
+          Previous
+        </button>
+        <button type="button" onClick={onReset}>
+          Reset position
+        </button>
+        <button
+          type="button"
+          onClick={() => onSelect(lessonIndex + 1)}
+          disabled={lessonIndex === TUTORIAL_LESSONS.length - 1}
+        >
+          Next
+        </button>
+      </div>
+
+      <ol className="tutorial-lessons">
+        {TUTORIAL_LESSONS.map((entry, index) => (
+          <li key={entry.id}>
+            <button
+              type="button"
+              className={index === lessonIndex ? "current" : undefined}
+              onClick={() => onSelect(index)}
+            >
+              {progress.includes(entry.id) ? "✓" : "○"} {entry.title}
+            </button>
+          </li>
+        ))}
+      </ol>
+      <p className="panel-note">
+        {solvedCount} of {TUTORIAL_LESSONS.length} lessons solved. Your own game is kept as it was.
+      </p>
+    </section>
+  );
+};
+
+export default TutorialPanel;
@@ -0,0 +1,76 @@
+import { chooseComputerMove } from "./aiPlayer";
+import { suggestHint } from "./moveHints";
+
+let worker = null;
+let workerUnavailable = false;
+let nextRequestId = 1;
+const pendingRequests = new Map();
+
+const getWorker = () => {
+  if (worker || workerUnavailable) {
+    return worker;
+  }
+
+  if (typeof Worker === "undefined") {
+    workerUnavailable = true;
+    return null;
+  }
+
+  try {
+    worker = new Worker(new URL("./aiWorker.js", import.meta.url), { type: "module" });
+  } catch {
+    workerUnavailable = true;
+    return null;
+  }
+
+  worker.addEventListener("message", (event) => {
+    const { requestId, result } = event.data ?? {};
+    const pending = pendingRequests.get(requestId);
+    if (pending) {
+      pendingRequests.delete(requestId);
+      pending.resolve(result ?? null);
+    }
+  });
+
+  worker.addEventListener("error", () => {
+    worker.terminate();
+    worker = null;
+    workerUnavailable = true;
+    pendingRequests.forEach(({ resolve, fallback }) => resolve(fallback()));
+    pendingRequests.clear();
+  });
+
+  return worker;
+};
+
+// Runs a job in the worker, or on the main thread through `fallback` when workers are missing
+// or the worker fails.
+const runInWorker = (message, fallback) => {
+  const activeWorker = getWorker();
+  if (!activeWorker) {
+    return new Promise((resolve) => {
+      setTimeout(() => resolve(fallback()), 0);
+    });
+  }
+
+  const requestId = nextRequestId;
+  nextRequestId += 1;
+
+  return new Promise((resolve) => {
+    pendingRequests.set(requestId, { resolve, fallback });
+    activeWorker.postMessage({ ...message, requestId });
+  });
+};
+
+// Resolves with `{ boardIndex, cellIndex }` or null. Search runs in a worker so the
+// render loop keeps animating; without worker support it falls back to the main thread.
+export const requestComputerMove = (game, difficulty, options = {}) =>
+  runInWorker(
+    { kind: "move", game, difficulty, timeBudgetMs: options.timeBudgetMs },
+    () => chooseComputerMove(game, difficulty, options),
+  );
+
+// Resolves with the suggestHint result for `game`. Classifying every legal move takes
+// too long on large boards to run between frames.
+export const requestHint = (game) =>
+  runInWorker({ kind: "hint", game }, () => suggestHint(game));
@@ -0,0 +1,282 @@
+import {
+  canChooseNextBoard,
+  chooseNextBoard,
+  getAllowedBoardIndexes,
+  isBoardResolved,
+  makeMove,
+} from "./gameLogic";
+
+export const AI_DIFFICULTIES = [
+  { id: "random", label: "Random" },
+  { id: "heuristic", label: "Heuristic" },
+  { id: "search", label: "Search" },
+];
+
+export const DEFAULT_AI_DIFFICULTY = "heuristic";
+const DEFAULT_SEARCH_BUDGET_MS = 900;
+const UCT_EXPLORATION = Math.SQRT2;
+
+export const normalizeDifficulty = (value) =>
+  AI_DIFFICULTIES.some((entry) => entry.id === value) ? value : DEFAULT_AI_DIFFICULTY;
+
+const togglePlayer = (player) => (player === "X" ? "O" : "X");
+
+const pickRandom = (items) => items[Math.floor(Math.random() * items.length)];
+
+// Actions are cell moves `{ boardIndex, cellIndex }`, or `{ sendBoardIndex }` while the mover
+// still has to pick the opponent's board.
+export const getLegalMoves = (state) => {
+  if (state.boardChoicePending) {
+    return state.boards
+      .map((_, boardIndex) => boardIndex)
+      .filter((boardIndex) => canChooseNextBoard(state, boardIndex))
+      .map((sendBoardIndex) => ({ sendBoardIndex }));
+  }
+
+  const moves = [];
+  getAllowedBoardIndexes(state).forEach((boardIndex) => {
+    state.boards[boardIndex].cells.forEach((cell, cellIndex) => {
+      if (cell === null) {
+        moves.push({ boardIndex, cellIndex });
+      }
+    });
+  });
+  return moves;
+};
+
+export const applyAction = (state, action) =>
+  Number.isInteger(action?.sendBoardIndex)
+    ? chooseNextBoard(state, action.sendBoardIndex)
+    : makeMove(state, action?.boardIndex, action?.cellIndex);
+
+const asPlayer = (state, player) =>
+  state.currentPlayer === player ? state : { ...state, currentPlayer: player };
+
+const canCaptureBoard = (state, boardIndex, player) => {
+  const board = state.boards[boardIndex];
+  const probe = asPlayer(state, player);
+  return board.cells.some((cell, cellIndex) => {
+    if (cell !== null) {
+      return false;
+    }
+    const next = makeMove(probe, boardIndex, cellIndex);
+    return next !== probe && next.boards[boardIndex].winner === player;
+  });
+};
+
+const canWinGame = (state, player) => {
+  // A move captures at most one local board, so a meta line needs winLength - 1 boards already
+  // owned; the most-boards tiebreak can only decide the game once a single board is left open.
+  const { winLength, drawnBoards } = state.rules;
+  const boardsOwned = state.boards.filter(
+    (board) => board.winner === player || (drawnBoards === "both" && board.isDraw),
+  ).length;
+  const openBoards = state.boards.filter((board) => !isBoardResolved(board)).length;
+  if (boardsOwned < winLength - 1 && openBoards > 1) {
+    return false;
+  }
+
+  const probe = asPlayer(state, player);
+  return getLegalMoves(probe).some(
+    ({ boardIndex, cellIndex }) => makeMove(probe, boardIndex, cellIndex).winner === player,
+  );
+};
+
+const getCellWeight = (index, size) => {
+  const row = Math.floor(index / size);
+  const col = index % size;
+  const center = (size - 1) / 2;
+  const distance = Math.abs(row - center) + Math.abs(col - center);
+  return Math.max(0, size - distance);
+};
+
+export const scoreMove = (state, { boardIndex, cellIndex }) => {
+  const player = state.currentPlayer;
+  const opponent = togglePlayer(player);
+  const next = makeMove(state, boardIndex, cellIndex);
+  if (next === state) {
+    return Number.NEGATIVE_INFINITY;
+  }
+
+  if (next.winner === player) {
+    return 10_000;
+  }
+
+  let score = 0;
+  if (next.isDraw) {
+    score -= 20;
+  }
+  if (next.winner && next.winner !== player) {
+    return -10_000;
+  }
+
+  if (!state.boards[boardIndex].winner && next.boards[boardIndex].winner === player) {
+    score += 60 + getCellWeight(boardIndex, state.size) * 4;
+  }
+
+  const opponentProbe = asPlayer(state, opponent);
+  const blocked = makeMove(opponentProbe, boardIndex, cellIndex);
+  if (blocked !== opponentProbe && blocked.boards[boardIndex].winner === opponent) {
+    score += 45 + getCellWeight(boardIndex, state.size) * 3;
+  }
+
+  if (next.boardChoicePending) {
+    score += 10;
+  } else if (!next.winner && !next.isDraw) {
+    if (canWinGame(next, opponent)) {
+      score -= 5_000;
+    } else if (next.nextBoardIndex === null) {
+      score -= 35;
+    } else if (canCaptureBoard(next, next.nextBoardIndex, opponent)) {
+      score -= 50;
+    }
+  }
+
+  score += getCellWeight(cellIndex, state.size) * 2;
+  return score;
+};
+
+const scoreBoardChoice = (state, sendBoardIndex) => {
+  const opponent = togglePlayer(state.currentPlayer);
+  const next = chooseNextBoard(state, sendBoardIndex);
+  if (next === state) {
+    return Number.NEGATIVE_INFINITY;
+  }
+  if (canWinGame(next, opponent)) {
+    return -5_000;
+  }
+
+  const opponentCells = next.boards[sendBoardIndex].cells.filter((cell) => cell === opponent).length;
+  return (canCaptureBoard(next, sendBoardIndex, opponent) ? -50 : 0) - opponentCells * 3;
+};
+
+export const scoreAction = (state, action) =>
+  Number.isInteger(action.sendBoardIndex)
+    ? scoreBoardChoice(state, action.sendBoardIndex)
+    : scoreMove(state, action);
+
+const chooseRandomMove = (state) => {
+  const moves = getLegalMoves(state);
+  return moves.length > 0 ? pickRandom(moves) : null;
+};
+
+const chooseHeuristicMove = (state) => {
+  const moves = getLegalMoves(state);
+  if (moves.length === 0) {
+    return null;
+  }
+
+  let bestScore = Number.NEGATIVE_INFINITY;
+  let bestMoves = [];
+  moves.forEach((move) => {
+    const score = scoreAction(state, move);
+    if (score > bestScore) {
+      bestScore = score;
+      bestMoves = [move];
+    } else if (score === bestScore) {
+      bestMoves.push(move);
+    }
+  });
+
+  return pickRandom(bestMoves);
+};
+
+const createNode = (state, parent, move) => ({
+  state,
+  parent,
+  move,
+  children: [],
+  untriedMoves: state.winner || state.isDraw ? [] : getLegalMoves(state),
+  visits: 0,
+  score: 0,
+});
+
+const selectChild = (node) => {
+  const logVisits = Math.log(node.visits);
+  let best = null;
+  let bestValue = Number.NEGATIVE_INFINITY;
+  node.children.forEach((child) => {
+    const value =
+      child.score / child.visits + UCT_EXPLORATION * Math.sqrt(logVisits / child.visits);
+    if (value > bestValue) {
+      bestValue = value;
+      best = child;
+    }
+  });
+  return best;
+};
+
+const playOut = (state) => {
+  let current = state;
+  while (!current.winner && !current.isDraw) {
+    const move = chooseRandomMove(current);
+    if (!move) {
+      break;
+    }
+    current = applyAction(current, move);
+  }
+  return current.winner;
+};
+
+const chooseSearchMove = (state, timeBudgetMs = DEFAULT_SEARCH_BUDGET_MS) => {
+  const rootMoves = getLegalMoves(state);
+  if (rootMoves.length <= 1) {
+    return rootMoves[0] ?? null;
+  }
+
+  const winningMove = rootMoves.find(
+    (move) => applyAction(state, move).winner === state.currentPlayer,
+  );
+  if (winningMove) {
+    return winningMove;
+  }
+
+  const root = createNode(state, null, null);
+  const deadline = Date.now() + timeBudgetMs;
+
+  while (Date.now() < deadline) {
+    let node = root;
+    while (node.untriedMoves.length === 0 && node.children.length > 0) {
+      node = selectChild(node);
+    }
+
+    if (node.untriedMoves.length > 0) {
+      const moveIndex = Math.floor(Math.random() * node.untriedMoves.length);
+      const [move] = node.untriedMoves.splice(moveIndex, 1);
+      const child = createNode(applyAction(node.state, move), node, move);
+      node.children.push(child);
+      node = child;
+    }
+
+    const winner = playOut(node.state);
+    while (node) {
+      node.visits += 1;
+      if (node.parent) {
+        const mover = node.parent.state.currentPlayer;
+        node.score += winner === mover ? 1 : winner ? 0 : 0.5;
+      }
+      node = node.parent;
+    }
+  }
+
+  if (root.children.length === 0) {
+    return chooseHeuristicMove(state);
+  }
+
+  return root.children.reduce((best, child) => (child.visits > best.visits ? child : best)).move;
+};
+
+export const chooseComputerMove = (state, difficulty, options = {}) => {
+  if (state.winner || state.isDraw) {
+    return null;
+  }
+
+  switch (normalizeDifficulty(difficulty)) {
+    case "random":
+      return chooseRandomMove(state);
+    case "search":
+      return chooseSearchMove(state, options.timeBudgetMs);
+    default:
+      return chooseHeuristicMove(state);
+  }
+};
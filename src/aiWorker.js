@@ -0,0 +1,9 @@
+import { chooseComputerMove } from "./aiPlayer";
+import { suggestHint } from "./moveHints";
+
+self.addEventListener("message", (event) => {
+  const { requestId, kind, game, difficulty, timeBudgetMs } = event.data ?? {};
+  const result =
+    kind === "hint" ? suggestHint(game) : chooseComputerMove(game, difficulty, { timeBudgetMs });
+  self.postMessage({ requestId, result });
+});
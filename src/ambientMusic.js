@@ -0,0 +1,181 @@
+import { isBoardResolved } from "./gameLogic";
+import { getMetaThreats } from "./positionAnalysis";
+import { getAmbientOutput, scheduleTone } from "./soundEffects";
+
+const SCHEDULER_INTERVAL_MS = 100;
+const LOOKAHEAD_SECONDS = 0.3;
+const BEATS_PER_BAR = 4;
+const MIN_TEMPO = 56;
+const MAX_TEMPO = 92;
+const FADE_SECONDS = 2.5;
+const ARPEGGIO_TENSION = 0.3;
+const BASS_TENSION = 0.5;
+const EIGHTHS_TENSION = 0.75;
+
+// Chords as MIDI notes, one per bar. Calm games drift through major sevenths; once a player
+// is one board from a meta line the harmony turns minor.
+const CALM_PROGRESSION = [
+  [53, 57, 60, 64],
+  [52, 55, 59, 62],
+  [50, 53, 57, 60],
+  [48, 52, 55, 59],
+];
+const THREAT_PROGRESSION = [
+  [50, 53, 57, 60],
+  [46, 50, 53, 57],
+  [43, 46, 50, 53],
+  [45, 49, 52, 55],
+];
+
+const music = {
+  timer: null,
+  stopTimer: null,
+  gainNode: null,
+  nextBeatTime: 0,
+  beat: 0,
+  mood: { tension: 0, threatened: false, finalMoves: false },
+};
+
+const toFrequency = (midiNote) => 440 * 2 ** ((midiNote - 69) / 12);
+
+const countOpenCells = (game) =>
+  game.boards
+    .filter((board) => !isBoardResolved(board))
+    .reduce((total, board) => total + board.cells.filter((cell) => cell === null).length, 0);
+
+// Tension from 0 to 1: the share of local boards resolved, a meta line one board from
+// completion, and the last few open cells each push it up.
+export const getMusicMood = (game) => {
+  const resolvedShare = game.boards.filter(isBoardResolved).length / game.boards.length;
+  const metaThreats = getMetaThreats(game);
+  const threatened = metaThreats.X.length > 0 || metaThreats.O.length > 0;
+  const finalMoves = countOpenCells(game) <= game.size * game.size;
+  const tension = 0.15 + resolvedShare * 0.45 + (threatened ? 0.25 : 0) + (finalMoves ? 0.15 : 0);
+  return { tension: Math.min(tension, 1), threatened, finalMoves };
+};
+
+const getBeatSeconds = (tension) => 60 / (MIN_TEMPO + (MAX_TEMPO - MIN_TEMPO) * tension);
+
+const scheduleBeat = (context, output, startTime, beat) => {
+  const { tension, threatened, finalMoves } = music.mood;
+  const beatSeconds = getBeatSeconds(tension);
+  const progression = threatened ? THREAT_PROGRESSION : CALM_PROGRESSION;
+  const chord = progression[Math.floor(beat / BEATS_PER_BAR) % progression.length];
+  const beatInBar = beat % BEATS_PER_BAR;
+
+  if (beatInBar === 0) {
+    chord.forEach((note) => {
+      scheduleTone(context, output, startTime, {
+        frequency: toFrequency(note),
+        duration: beatSeconds * BEATS_PER_BAR * 1.2,
+        gain: 0.012,
+        type: "sine",
+        attack: 0.9,
+      });
+    });
+  }
+
+  if (tension >= BASS_TENSION && (finalMoves || beatInBar % 2 === 0)) {
+    scheduleTone(context, output, startTime, {
+      frequency: toFrequency(chord[0] - 12),
+      duration: beatSeconds * 0.9,
+      gain: 0.02,
+      type: "sine",
+      attack: 0.04,
+    });
+  }
+
+  if (tension >= ARPEGGIO_TENSION) {
+    const steps = tension >= EIGHTHS_TENSION ? 2 : 1;
+    for (let step = 0; step < steps; step += 1) {
+      const note = chord[(beatInBar * steps + step) % chord.length] + 12;
+      scheduleTone(context, output, startTime + (step * beatSeconds) / steps, {
+        frequency: toFrequency(note),
+        duration: Math.min(beatSeconds / steps, 0.4),
+        gain: 0.006 + tension * 0.006,
+        type: "triangle",
+        attack: 0.03,
+      });
+    }
+  }
+};
+
+const getMusicOutput = ({ context, output }) => {
+  if (!music.gainNode) {
+    music.gainNode = context.createGain();
+    music.gainNode.gain.value = 0.0001;
+    music.gainNode.connect(output);
+    music.gainNode.gain.setTargetAtTime(
+      music.stopTimer ? 0 : 1,
+      context.currentTime,
+      FADE_SECONDS / 3,
+    );
+  }
+  return music.gainNode;
+};
+
+// Schedules a little ahead of the audio clock on every timer tick, so uneven timers never
+// make the rhythm stutter. After a stall the next beat starts from now.
+const tick = () => {
+  const target = getAmbientOutput();
+  if (!target) {
+    return;
+  }
+
+  const { context } = target;
+  const output = getMusicOutput(target);
+  if (music.nextBeatTime < context.currentTime) {
+    music.nextBeatTime = context.currentTime + 0.05;
+  }
+  while (music.nextBeatTime < context.currentTime + LOOKAHEAD_SECONDS) {
+    scheduleBeat(context, output, music.nextBeatTime, music.beat);
+    music.nextBeatTime += getBeatSeconds(music.mood.tension);
+    music.beat += 1;
+  }
+};
+
+const setMusicGain = (level) => {
+  const context = music.gainNode?.context;
+  if (context) {
+    music.gainNode.gain.cancelScheduledValues(context.currentTime);
+    music.gainNode.gain.setTargetAtTime(level, context.currentTime, FADE_SECONDS / 3);
+  }
+};
+
+const startMusic = () => {
+  if (music.stopTimer) {
+    clearTimeout(music.stopTimer);
+    music.stopTimer = null;
+  }
+  setMusicGain(1);
+  if (!music.timer) {
+    music.timer = setInterval(tick, SCHEDULER_INTERVAL_MS);
+    tick();
+  }
+};
+
+export const stopAmbientMusic = () => {
+  if (!music.timer || music.stopTimer) {
+    return;
+  }
+
+  setMusicGain(0);
+  music.stopTimer = setTimeout(() => {
+    clearInterval(music.timer);
+    music.timer = null;
+    music.stopTimer = null;
+    music.beat = 0;
+  }, FADE_SECONDS * 1000);
+};
+
+// Call whenever the shown game or the audio settings change. Music plays while a game is in
+// progress and fades out on a win, a draw, or when sound or music is switched off.
+export const updateAmbientMusic = (game, settings) => {
+  if (!settings.enabled || !settings.musicEnabled || game.winner || game.isDraw) {
+    stopAmbientMusic();
+    return;
+  }
+
+  music.mood = getMusicMood(game);
+  startMusic();
+};
@@ -0,0 +1,38 @@
+import { canChooseNextBoard, canPlayInBoard, isBoardResolved } from "./gameLogic";
+
+export const isGameOver = (game) => Boolean(game.winner) || game.isDraw;
+
+export const isBoardPlayable = (game, boardIndex) =>
+  canPlayInBoard(game, boardIndex) || canChooseNextBoard(game, boardIndex);
+
+export const getBoardTone = (game, boardIndex) => {
+  const board = game.boards[boardIndex];
+  if (board.winner) {
+    return board.winner === "X" ? "x-won" : "o-won";
+  }
+  if (board.isDraw) {
+    return "drawn";
+  }
+  return !isBoardPlayable(game, boardIndex) && !isGameOver(game) ? "blocked" : "playable";
+};
+
+// Colours come from the active theme (see themes.js); tones keep one meaning per cell colour.
+export const getBoardColor = (game, boardIndex, theme) => {
+  if (isBoardResolved(game.boards[boardIndex])) {
+    return theme.board.resolved;
+  }
+  return isBoardPlayable(game, boardIndex) && !isGameOver(game)
+    ? theme.board.active
+    : theme.board.inactive;
+};
+
+export const isCellClickable = (game, boardIndex, cellIndex, readOnly) => {
+  const board = game.boards[boardIndex];
+  return !(
+    readOnly ||
+    isGameOver(game) ||
+    isBoardResolved(board) ||
+    !isBoardPlayable(game, boardIndex) ||
+    (board.cells[cellIndex] !== null && !canChooseNextBoard(game, boardIndex))
+  );
+};
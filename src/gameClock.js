@@ -0,0 +1,167 @@
+export const TIME_CONTROL_TYPES = [
+  { id: "none", label: "No clock" },
+  { id: "sudden-death", label: "Sudden death" },
+  { id: "fischer", label: "Fischer increment" },
+  { id: "delay", label: "Per-move delay" },
+];
+
+export const BASE_MINUTE_OPTIONS = [1, 3, 5, 10, 15, 30];
+export const BONUS_SECOND_OPTIONS = [1, 2, 3, 5, 10, 15, 30];
+export const LOW_TIME_MS = 10_000;
+
+const DEFAULT_TIME_CONTROL = { type: "none", baseMinutes: 5, bonusSeconds: 3 };
+
+const pickOption = (value, options, fallback) => {
+  const number = Number(value);
+  return options.includes(number) ? number : fallback;
+};
+
+// Time controls are stored as picked in the UI: the bonus is the increment in Fischer mode and
+// the free time per move in delay mode.
+export const normalizeTimeControl = (raw) => ({
+  type: TIME_CONTROL_TYPES.some((entry) => entry.id === raw?.type)
+    ? raw.type
+    : DEFAULT_TIME_CONTROL.type,
+  baseMinutes: pickOption(raw?.baseMinutes, BASE_MINUTE_OPTIONS, DEFAULT_TIME_CONTROL.baseMinutes),
+  bonusSeconds: pickOption(
+    raw?.bonusSeconds,
+    BONUS_SECOND_OPTIONS,
+    DEFAULT_TIME_CONTROL.bonusSeconds,
+  ),
+});
+
+export const describeTimeControl = (control) => {
+  const { type, baseMinutes, bonusSeconds } = normalizeTimeControl(control);
+  if (type === "fischer") {
+    return `${baseMinutes} min + ${bonusSeconds}s`;
+  }
+  if (type === "delay") {
+    return `${baseMinutes} min, ${bonusSeconds}s delay`;
+  }
+  return type === "sudden-death" ? `${baseMinutes} min` : "Untimed";
+};
+
+// A clock is null for untimed games. It only runs for `activePlayer` from `turnStartedAt`;
+// `remainingMs` holds what each side had when its clock last stopped. A paused clock keeps its
+// `activePlayer` with no `turnStartedAt`, and `delayUsedMs` keeps the part of a per-move delay
+// that was spent before the pause.
+export const createClock = (control) => {
+  const normalized = normalizeTimeControl(control);
+  if (normalized.type === "none") {
+    return null;
+  }
+
+  const baseMs = normalized.baseMinutes * 60_000;
+  return {
+    control: normalized,
+    remainingMs: { X: baseMs, O: baseMs },
+    activePlayer: null,
+    turnStartedAt: null,
+    delayUsedMs: 0,
+  };
+};
+
+export const hydrateClock = (raw) => {
+  const clock = createClock(raw?.control);
+  if (!clock) {
+    return null;
+  }
+
+  const readRemaining = (player) =>
+    Number.isFinite(raw?.remainingMs?.[player])
+      ? Math.max(raw.remainingMs[player], 0)
+      : clock.remainingMs[player];
+  const activePlayer = raw?.activePlayer === "X" || raw?.activePlayer === "O" ? raw.activePlayer : null;
+
+  return {
+    ...clock,
+    remainingMs: { X: readRemaining("X"), O: readRemaining("O") },
+    activePlayer,
+    turnStartedAt: activePlayer && Number.isFinite(raw?.turnStartedAt) ? raw.turnStartedAt : null,
+    delayUsedMs: Number.isFinite(raw?.delayUsedMs) ? Math.max(raw.delayUsedMs, 0) : 0,
+  };
+};
+
+const getElapsedMs = (clock, now) => Math.max(now - (clock.turnStartedAt ?? now), 0);
+
+const getDelayLeftMs = (clock) =>
+  Math.max(clock.control.bonusSeconds * 1000 - (clock.delayUsedMs ?? 0), 0);
+
+const getChargedMs = (clock, now) => {
+  const elapsed = getElapsedMs(clock, now);
+  return clock.control.type === "delay" ? Math.max(elapsed - getDelayLeftMs(clock), 0) : elapsed;
+};
+
+export const getRemainingMs = (clock, player, now = Date.now()) => {
+  const stored = clock.remainingMs[player];
+  return clock.activePlayer === player ? Math.max(stored - getChargedMs(clock, now), 0) : stored;
+};
+
+export const getFlaggedPlayer = (clock, now = Date.now()) =>
+  clock?.activePlayer && getRemainingMs(clock, clock.activePlayer, now) <= 0
+    ? clock.activePlayer
+    : null;
+
+// Moves the clock to whoever is on turn in `game`. The first move is untimed, and nobody's
+// clock runs once the game is over. A player who finishes a turn with time left gets the
+// Fischer increment.
+export const syncClock = (clock, game, now = Date.now()) => {
+  if (!clock) {
+    return clock;
+  }
+
+  const gameOver = Boolean(game.winner || game.isDraw);
+  const nextPlayer = gameOver || game.moves.length === 0 ? null : game.currentPlayer;
+  if (clock.activePlayer === nextPlayer) {
+    return clock;
+  }
+
+  const remainingMs = { ...clock.remainingMs };
+  if (clock.activePlayer) {
+    const left = getRemainingMs(clock, clock.activePlayer, now);
+    remainingMs[clock.activePlayer] =
+      left > 0 && clock.control.type === "fischer" ? left + clock.control.bonusSeconds * 1000 : left;
+  }
+
+  return {
+    ...clock,
+    remainingMs,
+    activePlayer: nextPlayer,
+    turnStartedAt: nextPlayer ? now : null,
+    delayUsedMs: 0,
+  };
+};
+
+// Stops a running clock without ending the turn, e.g. when its game is put aside or the page
+// closes: the time used so far is settled into `remainingMs`.
+export const pauseClock = (clock, now = Date.now()) => {
+  if (!clock?.activePlayer || clock.turnStartedAt === null) {
+    return clock;
+  }
+
+  const player = clock.activePlayer;
+  const delayUsedMs =
+    clock.control.type === "delay"
+      ? Math.min((clock.delayUsedMs ?? 0) + getElapsedMs(clock, now), clock.control.bonusSeconds * 1000)
+      : 0;
+  return {
+    ...clock,
+    remainingMs: { ...clock.remainingMs, [player]: getRemainingMs(clock, player, now) },
+    turnStartedAt: null,
+    delayUsedMs,
+  };
+};
+
+// Restarts a paused clock for the same player from `now`.
+export const resumeClock = (clock, now = Date.now()) =>
+  clock?.activePlayer && clock.turnStartedAt === null ? { ...clock, turnStartedAt: now } : clock;
+
+export const formatClock = (ms) => {
+  const safeMs = Math.max(ms, 0);
+  if (safeMs < LOW_TIME_MS) {
+    return `${Math.floor(safeMs / 1000)}.${Math.floor((safeMs % 1000) / 100)}`;
+  }
+  const totalSeconds = Math.ceil(safeMs / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  return `${minutes}:${String(totalSeconds % 60).padStart(2, "0")}`;
+};
@@ -1,4 +1,12 @@
+import { normalizeRules } from "./gameRules";
+
 const DEFAULT_SIZE = 3;
+const LINE_DIRECTIONS = [
+  [0, 1],
+  [1, 0],
+  [1, 1],
+  [1, -1],
+];
 
 export const normalizeSize = (rawValue) => {
   const parsed = Number.parseInt(rawValue, 10);
@@ -13,78 +21,96 @@ export const indexToCoords = (index, size) => ({
   col: index % size,
 });
 
-export const createInitialGameState = (requestedSize = DEFAULT_SIZE) => {
+export const createInitialGameState = (requestedSize = DEFAULT_SIZE, requestedRules = null) => {
   const size = normalizeSize(requestedSize);
   const boardCellCount = size * size;
 
   return {
     size,
+    rules: normalizeRules(requestedRules, size),
     currentPlayer: "X",
     nextBoardIndex: null,
+    boardChoicePending: false,
     winner: null,
+    winReason: null,
+    // Board indexes of every completed meta line and the move that completed them.
+    winningLines: [],
+    winningMove: null,
+    timedOutPlayer: null,
     isDraw: false,
     moveCount: 0,
     lastMove: null,
+    moves: [],
     boards: Array.from({ length: boardCellCount }, () => ({
       cells: Array(boardCellCount).fill(null),
       winner: null,
       isDraw: false,
+      winningLines: [],
+      winningMove: null,
     })),
   };
 };
 
-const getLineWinner = (cells, size) => {
-  for (const player of ["X", "O"]) {
-    for (let row = 0; row < size; row += 1) {
-      let rowWin = true;
-      for (let col = 0; col < size; col += 1) {
-        if (cells[row * size + col] !== player) {
-          rowWin = false;
-          break;
-        }
-      }
-      if (rowWin) {
-        return player;
-      }
+const getLineFrom = (cells, size, winLength, start, [rowStep, colStep], owns) => {
+  const line = [];
+  for (let step = 0; step < winLength; step += 1) {
+    const row = start.row + rowStep * step;
+    const col = start.col + colStep * step;
+    if (row < 0 || row >= size || col < 0 || col >= size || !owns(cells[row * size + col])) {
+      return null;
     }
+    line.push(row * size + col);
+  }
+  return line;
+};
 
-    for (let col = 0; col < size; col += 1) {
-      let colWin = true;
-      for (let row = 0; row < size; row += 1) {
-        if (cells[row * size + col] !== player) {
-          colWin = false;
-          break;
+// Finds a run of `winLength` owned cells along any row, column or diagonal, and returns
+// { player, line } with the run's cell indexes, or null. `owns` lets the meta board treat
+// drawn boards as belonging to a player.
+export const getLineWinner = (
+  cells,
+  size,
+  winLength = size,
+  players = ["X", "O"],
+  owns = (cell, player) => cell === player,
+) => {
+  for (const player of players) {
+    const ownsCell = (cell) => owns(cell, player);
+    for (let index = 0; index < cells.length; index += 1) {
+      const start = indexToCoords(index, size);
+      for (const direction of LINE_DIRECTIONS) {
+        const line = getLineFrom(cells, size, winLength, start, direction, ownsCell);
+        if (line) {
+          return { player, line };
         }
       }
-      if (colWin) {
-        return player;
-      }
     }
+  }
 
-    let diagOneWin = true;
-    for (let i = 0; i < size; i += 1) {
-      if (cells[i * size + i] !== player) {
-        diagOneWin = false;
-        break;
-      }
-    }
-    if (diagOneWin) {
-      return player;
-    }
+  return null;
+};
 
-    let diagTwoWin = true;
-    for (let i = 0; i < size; i += 1) {
-      if (cells[i * size + (size - 1 - i)] !== player) {
-        diagTwoWin = false;
-        break;
+// Every run of `winLength` cells owned by `player`: a single move can complete a row and a
+// diagonal at once. Uses the same `owns` test as getLineWinner.
+export const getWinningLines = (
+  cells,
+  size,
+  winLength,
+  player,
+  owns = (cell, owner) => cell === owner,
+) => {
+  const ownsCell = (cell) => owns(cell, player);
+  const lines = [];
+  for (let index = 0; index < cells.length; index += 1) {
+    const start = indexToCoords(index, size);
+    LINE_DIRECTIONS.forEach((direction) => {
+      const line = getLineFrom(cells, size, winLength, start, direction, ownsCell);
+      if (line) {
+        lines.push(line);
       }
-    }
-    if (diagTwoWin) {
-      return player;
-    }
+    });
   }
-
-  return null;
+  return lines;
 };
 
 export const isBoardResolved = (board) => Boolean(board.winner) || board.isDraw;
@@ -103,7 +129,7 @@ const getForcedBoardIndexIfPlayable = (state) => {
 };
 
 export const canPlayInBoard = (state, boardIndex) => {
-  if (state.winner || state.isDraw) {
+  if (state.winner || state.isDraw || state.boardChoicePending) {
     return false;
   }
 
@@ -132,7 +158,61 @@ export const getAllowedBoardIndexes = (state) => {
 
 const togglePlayer = (player) => (player === "X" ? "O" : "X");
 
-export const makeMove = (state, boardIndex, cellIndex) => {
+// Under the "opponent picks" rule the player who sent the move to a resolved board names the
+// next board; currentPlayer stays on them until chooseNextBoard is called.
+export const canChooseNextBoard = (state, boardIndex) => {
+  if (!state.boardChoicePending) {
+    return false;
+  }
+  const board = state.boards[boardIndex];
+  return Boolean(board) && !isBoardResolved(board);
+};
+
+const ownsMetaBoard = (rules) => (board, player) =>
+  board.winner === player || (rules.drawnBoards === "both" && board.isDraw);
+
+// The completed meta lines for `player`, as lists of board indexes.
+export const getMetaWinningLines = (boards, rules, size, player) =>
+  getWinningLines(boards, size, rules.winLength, player, ownsMetaBoard(rules));
+
+const getMetaResult = (boards, rules, size, mover) => {
+  const lineWinner = getLineWinner(
+    boards,
+    size,
+    rules.winLength,
+    [mover, togglePlayer(mover)],
+    ownsMetaBoard(rules),
+  );
+  if (lineWinner) {
+    return {
+      winner: lineWinner.player,
+      winReason: "line",
+      winningLines: getMetaWinningLines(boards, rules, size, lineWinner.player),
+      isDraw: false,
+    };
+  }
+
+  if (!boards.every((board) => isBoardResolved(board))) {
+    return { winner: null, winReason: null, winningLines: [], isDraw: false };
+  }
+
+  if (rules.metaTiebreak === "most-boards") {
+    const xBoards = boards.filter((board) => board.winner === "X").length;
+    const oBoards = boards.filter((board) => board.winner === "O").length;
+    if (xBoards !== oBoards) {
+      return {
+        winner: xBoards > oBoards ? "X" : "O",
+        winReason: "most-boards",
+        winningLines: [],
+        isDraw: false,
+      };
+    }
+  }
+
+  return { winner: null, winReason: null, winningLines: [], isDraw: true };
+};
+
+export const makeMove = (state, boardIndex, cellIndex, timestamp = Date.now()) => {
   if (!canPlayInBoard(state, boardIndex)) {
     return state;
   }
@@ -142,45 +222,157 @@ export const makeMove = (state, boardIndex, cellIndex) => {
     return state;
   }
 
+  const rules = state.rules ?? normalizeRules(null, state.size);
   const updatedBoards = state.boards.slice();
   const updatedCells = board.cells.slice();
   updatedCells[cellIndex] = state.currentPlayer;
 
-  const localWinner = getLineWinner(updatedCells, state.size);
+  const moveNumber = state.moveCount + 1;
+  const localLines = getWinningLines(updatedCells, state.size, rules.winLength, state.currentPlayer);
+  const localWinner = localLines.length > 0 ? state.currentPlayer : null;
   const localDraw = !localWinner && updatedCells.every((cell) => cell !== null);
 
   updatedBoards[boardIndex] = {
     cells: updatedCells,
     winner: localWinner,
     isDraw: localDraw,
+    winningLines: localLines,
+    winningMove: localWinner ? { cellIndex, moveNumber } : null,
   };
 
-  const metaCells = updatedBoards.map((smallBoard) => smallBoard.winner);
-  const winner = getLineWinner(metaCells, state.size);
-  const isDraw = !winner && updatedBoards.every((smallBoard) => isBoardResolved(smallBoard));
+  const { winner, winReason, winningLines, isDraw } = getMetaResult(
+    updatedBoards,
+    rules,
+    state.size,
+    state.currentPlayer,
+  );
+  const gameOver = Boolean(winner) || isDraw;
 
   let nextBoardIndex = null;
-  if (!winner && !isDraw) {
+  let boardChoicePending = false;
+  if (!gameOver) {
     const nextBoard = updatedBoards[cellIndex];
     if (nextBoard && !isBoardResolved(nextBoard)) {
       nextBoardIndex = cellIndex;
+    } else if (rules.fullBoardSend === "opponent-picks") {
+      const openBoards = updatedBoards.filter((smallBoard) => !isBoardResolved(smallBoard));
+      boardChoicePending = openBoards.length > 1;
     }
   }
 
+  const move = {
+    boardIndex,
+    cellIndex,
+    player: state.currentPlayer,
+    timestamp,
+  };
+
   return {
     ...state,
+    rules,
     boards: updatedBoards,
-    moveCount: state.moveCount + 1,
+    moveCount: moveNumber,
     winner,
+    winReason,
+    winningLines,
+    winningMove: winningLines.length > 0 ? { boardIndex, cellIndex, moveNumber } : null,
     isDraw,
     nextBoardIndex,
+    boardChoicePending,
     lastMove: {
-      boardIndex,
-      cellIndex,
-      player: state.currentPlayer,
-      moveNumber: state.moveCount + 1,
-      timestamp: Date.now(),
+      ...move,
+      moveNumber,
     },
-    currentPlayer: winner || isDraw ? state.currentPlayer : togglePlayer(state.currentPlayer),
+    moves: [...(state.moves ?? []), move],
+    currentPlayer:
+      gameOver || boardChoicePending ? state.currentPlayer : togglePlayer(state.currentPlayer),
+  };
+};
+
+export const chooseNextBoard = (state, boardIndex) => {
+  if (!canChooseNextBoard(state, boardIndex)) {
+    return state;
+  }
+
+  const moves = state.moves ?? [];
+  const lastIndex = moves.length - 1;
+  return {
+    ...state,
+    nextBoardIndex: boardIndex,
+    boardChoicePending: false,
+    moves: moves.map((move, index) =>
+      index === lastIndex ? { ...move, sendBoardIndex: boardIndex } : move,
+    ),
+    currentPlayer: togglePlayer(state.currentPlayer),
+  };
+};
+
+// Ends the game because `player` ran out of time: the opponent wins with winReason "timeout".
+export const forfeitOnTime = (state, player) => {
+  if (state.winner || state.isDraw || (player !== "X" && player !== "O")) {
+    return state;
+  }
+
+  return {
+    ...state,
+    winner: togglePlayer(player),
+    winReason: "timeout",
+    timedOutPlayer: player,
+    nextBoardIndex: null,
+    boardChoicePending: false,
+  };
+};
+
+// Flags the latest move as played after asking for a hint, so records can count hints.
+export const markLastMoveHinted = (state) => {
+  const moves = state.moves ?? [];
+  const lastIndex = moves.length - 1;
+  if (lastIndex < 0 || moves[lastIndex].hinted) {
+    return state;
+  }
+
+  return {
+    ...state,
+    moves: moves.map((move, index) => (index === lastIndex ? { ...move, hinted: true } : move)),
   };
 };
+
+const applyRecordedAction = (state, move, timestamp) => {
+  const afterMove = makeMove(state, move?.boardIndex, move?.cellIndex, timestamp);
+  if (
+    afterMove === state ||
+    !afterMove.boardChoicePending ||
+    !Number.isInteger(move?.sendBoardIndex)
+  ) {
+    return afterMove;
+  }
+
+  const afterChoice = chooseNextBoard(afterMove, move.sendBoardIndex);
+  return afterChoice === afterMove ? state : afterChoice;
+};
+
+// Applies a recorded move, including the board pick that may follow it and its hint flag.
+// Returns the same state object when any part of the move is illegal.
+export const applyRecordedMove = (state, move, timestamp = Date.now()) => {
+  const nextState = applyRecordedAction(state, move, timestamp);
+  return nextState !== state && move?.hinted === true ? markLastMoveHinted(nextState) : nextState;
+};
+
+export const replayMoves = (size, moves, rules = null) => {
+  let state = createInitialGameState(size, rules);
+  if (!Array.isArray(moves)) {
+    return state;
+  }
+
+  for (const move of moves) {
+    const timestamp =
+      Number.isFinite(move?.timestamp) && move.timestamp > 0 ? move.timestamp : Date.now();
+    const nextState = applyRecordedMove(state, move, timestamp);
+    if (nextState === state) {
+      return null;
+    }
+    state = nextState;
+  }
+
+  return state;
+};
@@ -0,0 +1,229 @@
+import {
+  canPlayInBoard,
+  chooseNextBoard,
+  createInitialGameState,
+  forfeitOnTime,
+  indexToCoords,
+  makeMove,
+  markLastMoveHinted,
+} from "./gameLogic";
+import { formatRulesTag, parseRulesTag } from "./gameRules";
+import { countHints } from "./moveHints";
+
+const RECORD_EVENT = "Super Tic-Tac-Toe";
+const HEADER_PATTERN = /^\[(\w+)\s+"((?:[^"\\]|\\.)*)"\]$/;
+const MOVE_PATTERN = /^\((\d+),(\d+)\):\((\d+),(\d+)\)(?:>\((\d+),(\d+)\))?$/;
+const MOVE_NUMBER_PATTERN = /^\d+\.$/;
+const RESULT_TOKENS = ["1-0", "0-1", "1/2-1/2", "*"];
+const TIME_FORFEIT = "time forfeit";
+const HINT_COMMENT = "{hint}";
+// Larger grids are not playable here, and each extra size step grows the state by size⁴ cells.
+const RECORD_SIZES = [2, 3, 4, 5, 6];
+
+const coordsLabel = (index, size) => {
+  const { row, col } = indexToCoords(index, size);
+  return `(${row + 1},${col + 1})`;
+};
+
+// Moves are written as board:cell with 1-based (row,col) pairs, e.g. "(2,2):(1,3)". When the
+// mover picks the opponent's board, it follows as ">(row,col)", e.g. "(2,2):(1,3)>(3,1)".
+export const formatMove = ({ boardIndex, cellIndex, sendBoardIndex }, size) => {
+  const base = `${coordsLabel(boardIndex, size)}:${coordsLabel(cellIndex, size)}`;
+  return Number.isInteger(sendBoardIndex) ? `${base}>${coordsLabel(sendBoardIndex, size)}` : base;
+};
+
+export const parseMove = (token, size) => {
+  const match = MOVE_PATTERN.exec(token.replace(/\s+/g, ""));
+  if (!match) {
+    return null;
+  }
+
+  const [boardRow, boardCol, cellRow, cellCol, sendRow, sendCol] = match
+    .slice(1)
+    .map((value) => (value === undefined ? null : Number(value) - 1));
+  const inRange = (value) => value >= 0 && value < size;
+  const hasSend = sendRow !== null;
+  if (
+    ![boardRow, boardCol, cellRow, cellCol].every(inRange) ||
+    (hasSend && ![sendRow, sendCol].every(inRange))
+  ) {
+    return null;
+  }
+
+  return {
+    boardIndex: boardRow * size + boardCol,
+    cellIndex: cellRow * size + cellCol,
+    ...(hasSend ? { sendBoardIndex: sendRow * size + sendCol } : {}),
+  };
+};
+
+export const getResultToken = (game) => {
+  if (game.winner === "X") {
+    return "1-0";
+  }
+  if (game.winner === "O") {
+    return "0-1";
+  }
+  if (game.isDraw) {
+    return "1/2-1/2";
+  }
+  return "*";
+};
+
+const formatDate = (timestamp) => {
+  const date = new Date(timestamp);
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${date.getFullYear()}.${pad(date.getMonth() + 1)}.${pad(date.getDate())}`;
+};
+
+const escapeHeaderValue = (value) => String(value).replace(/["\\]/g, "\\$&");
+
+export const exportGameRecord = (
+  game,
+  { playerX = "Player X", playerO = "Player O", mode = "Hot-seat" } = {},
+) => {
+  const firstMove = game.moves[0];
+  const hints = countHints(game);
+  const headers = [
+    ["Event", RECORD_EVENT],
+    ["Date", formatDate(firstMove?.timestamp ?? Date.now())],
+    ["X", playerX],
+    ["O", playerO],
+    ["Size", game.size],
+    ["Rules", formatRulesTag(game.rules)],
+    ["Mode", mode],
+    ["Result", getResultToken(game)],
+    ...(game.winReason === "timeout" ? [["Termination", TIME_FORFEIT]] : []),
+    ...(hints.X + hints.O > 0 ? [["Hints", `X ${hints.X}, O ${hints.O}`]] : []),
+  ];
+
+  const moveLines = [];
+  for (let index = 0; index < game.moves.length; index += 2) {
+    const pair = game.moves
+      .slice(index, index + 2)
+      .map((move) => `${formatMove(move, game.size)}${move.hinted ? ` ${HINT_COMMENT}` : ""}`)
+      .join(" ");
+    moveLines.push(`${index / 2 + 1}. ${pair}`);
+  }
+
+  return [
+    ...headers.map(([name, value]) => `[${name} "${escapeHeaderValue(value)}"]`),
+    "",
+    ...moveLines,
+    getResultToken(game),
+    "",
+  ].join("\n");
+};
+
+const describeIllegalMove = (state, { boardIndex, cellIndex }) => {
+  if (state.winner || state.isDraw) {
+    return "the game is already over";
+  }
+  if (state.boardChoicePending) {
+    return "the previous move did not pick the opponent's board";
+  }
+  if (!canPlayInBoard(state, boardIndex)) {
+    return `board ${coordsLabel(boardIndex, state.size)} is not playable`;
+  }
+  if (state.boards[boardIndex].cells[cellIndex] !== null) {
+    return `cell ${coordsLabel(cellIndex, state.size)} is already taken`;
+  }
+  return "it breaks the move rules";
+};
+
+// Returns { ok: true, game, headers } or { ok: false, error, moveNumber }. Every move is
+// replayed through makeMove, so the first illegal move is reported with its number.
+export const importGameRecord = (text) => {
+  const headers = {};
+  const tokens = [];
+
+  String(text ?? "")
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .forEach((line) => {
+      if (!line) {
+        return;
+      }
+      const headerMatch = HEADER_PATTERN.exec(line);
+      if (headerMatch) {
+        headers[headerMatch[1]] = headerMatch[2].replace(/\\(.)/g, "$1");
+        return;
+      }
+      // Comments are dropped, except the {hint} mark that follows a move played after a hint.
+      const withoutComments = line.replace(/\{[^}]*\}/g, (comment) =>
+        comment === HINT_COMMENT ? ` ${HINT_COMMENT} ` : " ",
+      );
+      tokens.push(...withoutComments.split(/\s+/).filter(Boolean));
+    });
+
+  const size = headers.Size === undefined ? 3 : Number.parseInt(headers.Size, 10);
+  if (!RECORD_SIZES.includes(size)) {
+    return {
+      ok: false,
+      moveNumber: 0,
+      error: `Board size ${headers.Size} is not supported (${RECORD_SIZES[0]} to ${
+        RECORD_SIZES[RECORD_SIZES.length - 1]
+      }).`,
+    };
+  }
+  let game = createInitialGameState(size, parseRulesTag(headers.Rules, size));
+  let resultToken = null;
+  let moveNumber = 0;
+
+  for (const token of tokens) {
+    if (MOVE_NUMBER_PATTERN.test(token)) {
+      continue;
+    }
+    if (RESULT_TOKENS.includes(token)) {
+      resultToken = token;
+      continue;
+    }
+    if (token === HINT_COMMENT) {
+      game = markLastMoveHinted(game);
+      continue;
+    }
+
+    moveNumber += 1;
+    const move = parseMove(token, size);
+    if (!move) {
+      return { ok: false, moveNumber, error: `Move ${moveNumber} "${token}" is not valid notation.` };
+    }
+
+    const nextGame = makeMove(game, move.boardIndex, move.cellIndex);
+    if (nextGame === game) {
+      return {
+        ok: false,
+        moveNumber,
+        error: `Move ${moveNumber} "${token}" is illegal: ${describeIllegalMove(game, move)}.`,
+      };
+    }
+
+    if (move.sendBoardIndex === undefined) {
+      game = nextGame;
+      continue;
+    }
+
+    const chosenGame = chooseNextBoard(nextGame, move.sendBoardIndex);
+    if (chosenGame === nextGame) {
+      const reason = nextGame.boardChoicePending
+        ? `board ${coordsLabel(move.sendBoardIndex, size)} is not open`
+        : "no board choice is due after it";
+      return { ok: false, moveNumber, error: `Move ${moveNumber} "${token}" is illegal: ${reason}.` };
+    }
+    game = chosenGame;
+  }
+
+  const declaredResult = resultToken ?? headers.Result;
+  if (headers.Termination === TIME_FORFEIT && (declaredResult === "1-0" || declaredResult === "0-1")) {
+    game = forfeitOnTime(game, declaredResult === "1-0" ? "O" : "X");
+  }
+  if (declaredResult && declaredResult !== "*" && declaredResult !== getResultToken(game)) {
+    return {
+      ok: false,
+      moveNumber: null,
+      error: `Result "${declaredResult}" does not match the moves (${getResultToken(game)}).`,
+    };
+  }
+
+  return { ok: true, game, headers };
+};
@@ -0,0 +1,98 @@
+// Rule variants stored with each game. makeMove reads these fields instead of hard-coding
+// the classic ruleset, so new variants only need an entry here and a branch in the engine.
+export const DRAWN_BOARD_POLICIES = [
+  { id: "none", label: "Drawn boards count for nobody" },
+  { id: "both", label: "Drawn boards count for both players" },
+];
+
+export const FULL_BOARD_SEND_POLICIES = [
+  { id: "anywhere", label: "Sent to a full board: play anywhere" },
+  { id: "opponent-picks", label: "Sent to a full board: opponent picks your board" },
+];
+
+export const META_TIEBREAK_POLICIES = [
+  { id: "none", label: "Meta draw stays a draw" },
+  { id: "most-boards", label: "Most local boards won breaks a meta draw" },
+];
+
+const DEFAULT_RULES = {
+  winLength: null,
+  drawnBoards: "none",
+  fullBoardSend: "anywhere",
+  metaTiebreak: "none",
+};
+
+const pickPolicy = (policies, value) =>
+  policies.some((policy) => policy.id === value) ? value : policies[0].id;
+
+export const normalizeRules = (rawRules, size) => {
+  const parsedLength = Number.parseInt(rawRules?.winLength, 10);
+  return {
+    winLength:
+      Number.isFinite(parsedLength) && parsedLength >= 2 && parsedLength <= size ? parsedLength : size,
+    drawnBoards: pickPolicy(DRAWN_BOARD_POLICIES, rawRules?.drawnBoards),
+    fullBoardSend: pickPolicy(FULL_BOARD_SEND_POLICIES, rawRules?.fullBoardSend),
+    metaTiebreak: pickPolicy(META_TIEBREAK_POLICIES, rawRules?.metaTiebreak),
+  };
+};
+
+export const createDefaultRules = (size) => normalizeRules(DEFAULT_RULES, size);
+
+// Rules chosen for future games; winLength stays null ("full row") until a size is known.
+export const normalizeRulesInput = (rawRules) => {
+  const parsedLength = Number.parseInt(rawRules?.winLength, 10);
+  return {
+    ...normalizeRules(rawRules, Number.POSITIVE_INFINITY),
+    winLength: Number.isFinite(parsedLength) && parsedLength >= 2 ? parsedLength : null,
+  };
+};
+
+export const isClassicRules = (rules, size) => {
+  const classic = createDefaultRules(size);
+  return Object.keys(classic).every((key) => rules?.[key] === classic[key]);
+};
+
+export const describeRules = (rules, size) => {
+  const parts = [];
+  if (rules.winLength < size) {
+    parts.push(`${rules.winLength}-in-a-row`);
+  }
+  if (rules.drawnBoards === "both") {
+    parts.push("draws count for both");
+  }
+  if (rules.fullBoardSend === "opponent-picks") {
+    parts.push("full board: opponent picks");
+  }
+  if (rules.metaTiebreak === "most-boards") {
+    parts.push("most boards breaks draw");
+  }
+  return parts.length > 0 ? parts.join(" • ") : "Classic rules";
+};
+
+// Compact form used in game record headers, e.g. "k=3;draws=both;send=opponent-picks".
+export const formatRulesTag = (rules) =>
+  [
+    `k=${rules.winLength}`,
+    `draws=${rules.drawnBoards}`,
+    `send=${rules.fullBoardSend}`,
+    `tiebreak=${rules.metaTiebreak}`,
+  ].join(";");
+
+export const parseRulesTag = (tag, size) => {
+  const fields = Object.fromEntries(
+    String(tag ?? "")
+      .split(";")
+      .map((part) => part.split("=").map((value) => value.trim()))
+      .filter(([key, value]) => key && value),
+  );
+
+  return normalizeRules(
+    {
+      winLength: fields.k,
+      drawnBoards: fields.draws,
+      fullBoardSend: fields.send,
+      metaTiebreak: fields.tiebreak,
+    },
+    size,
+  );
+};
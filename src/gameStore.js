@@ -1,14 +1,32 @@
-import { createInitialGameState, normalizeSize } from "./gameLogic";
+import { normalizeDifficulty } from "./aiPlayer";
+import { createClock, hydrateClock, normalizeTimeControl } from "./gameClock";
+import {
+  createInitialGameState,
+  forfeitOnTime,
+  getMetaWinningLines,
+  getWinningLines,
+  normalizeSize,
+  replayMoves,
+} from "./gameLogic";
+import { normalizeRules, normalizeRulesInput } from "./gameRules";
+import {
+  normalizeCameraFocus,
+  normalizeCameraView,
+  normalizeMotionMode,
+  normalizeQualityMode,
+} from "./graphicsQuality";
+import { normalizePuzzleStats } from "./puzzles";
+import { normalizeRendererMode } from "./rendererSupport";
+import { normalizeAudioSettings } from "./soundEffects";
+import { normalizeThemeId } from "./themes";
+import { normalizeTutorialProgress } from "./tutorial";
 
-const STORAGE_KEY = "super-tic-tac-toe-save-v1";
-const STORAGE_VERSION = 1;
 const DEFAULT_SIZE = 3;
+const MIN_SIZE = 2;
+const MAX_SIZE = 6;
 
 const safeNow = () => Date.now();
 
-const hasLocalStorage = () =>
-  typeof window !== "undefined" && typeof window.localStorage !== "undefined";
-
 const createId = () => {
   if (typeof crypto !== "undefined" && typeof crypto.randomUUID === "function") {
     return crypto.randomUUID();
@@ -24,9 +42,69 @@ const countMoves = (boards) =>
     0,
   );
 
-const hydrateGameState = (rawState) => {
+export const hydrateMoveList = (rawMoves) =>
+  Array.isArray(rawMoves)
+    ? rawMoves
+        .filter((move) => Number.isInteger(move?.boardIndex) && Number.isInteger(move?.cellIndex))
+        .map((move) => ({
+          boardIndex: move.boardIndex,
+          cellIndex: move.cellIndex,
+          player: normalizeMarker(move.player),
+          timestamp: Number.isFinite(move.timestamp) && move.timestamp > 0 ? move.timestamp : safeNow(),
+          ...(Number.isInteger(move.sendBoardIndex) ? { sendBoardIndex: move.sendBoardIndex } : {}),
+          ...(move.hinted === true ? { hinted: true } : {}),
+        }))
+    : [];
+
+const hydrateLastMove = (rawLastMove, moveCount) => {
+  if (
+    !Number.isInteger(rawLastMove?.boardIndex) ||
+    !Number.isInteger(rawLastMove?.cellIndex) ||
+    !normalizeMarker(rawLastMove?.player)
+  ) {
+    return null;
+  }
+
+  return {
+    boardIndex: rawLastMove.boardIndex,
+    cellIndex: rawLastMove.cellIndex,
+    player: rawLastMove.player,
+    moveNumber:
+      Number.isInteger(rawLastMove.moveNumber) && rawLastMove.moveNumber >= 0
+        ? rawLastMove.moveNumber
+        : moveCount,
+    timestamp:
+      Number.isFinite(rawLastMove.timestamp) && rawLastMove.timestamp > 0
+        ? rawLastMove.timestamp
+        : safeNow(),
+  };
+};
+
+// Without a move list, the move that completed a line can only come from the saved state.
+const hydrateWinningMove = (rawMove, fields) =>
+  fields.every((field) => Number.isInteger(rawMove?.[field]) && rawMove[field] >= 0)
+    ? Object.fromEntries(fields.map((field) => [field, rawMove[field]]))
+    : null;
+
+// Returns null for a board size the app does not support, which drops the saved game.
+export const hydrateGameState = (rawState) => {
   const size = normalizeSize(rawState?.size ?? DEFAULT_SIZE);
-  const base = createInitialGameState(size);
+  if (size < MIN_SIZE || size > MAX_SIZE) {
+    return null;
+  }
+  const rules = normalizeRules(rawState?.rules, size);
+  const moves = hydrateMoveList(rawState?.moves);
+  if (moves.length > 0) {
+    const replayed = replayMoves(size, moves, rules);
+    if (replayed) {
+      // Moves alone cannot reproduce a loss on time, so it is re-applied after the replay.
+      return rawState?.winReason === "timeout"
+        ? forfeitOnTime(replayed, normalizeMarker(rawState.timedOutPlayer))
+        : replayed;
+    }
+  }
+
+  const base = createInitialGameState(size, rules);
   const boardCellCount = size * size;
 
   const boards = Array.from({ length: boardCellCount }, (_, boardIndex) => {
@@ -44,48 +122,126 @@ const hydrateGameState = (rawState) => {
       cells,
       winner,
       isDraw,
+      winningLines: winner ? getWinningLines(cells, size, rules.winLength, winner) : [],
+      winningMove: winner
+        ? hydrateWinningMove(rawBoard?.winningMove, ["cellIndex", "moveNumber"])
+        : null,
     };
   });
 
+  const winner = normalizeMarker(rawState?.winner);
+  const winReason = winner ? rawState?.winReason ?? "line" : null;
+  const winningLines =
+    winReason === "line" ? getMetaWinningLines(boards, rules, size, winner) : [];
+
   const nextBoardIndex = Number.isInteger(rawState?.nextBoardIndex)
     ? rawState.nextBoardIndex
     : null;
 
+  const moveCount =
+    Number.isInteger(rawState?.moveCount) && rawState.moveCount >= 0
+      ? rawState.moveCount
+      : countMoves(boards);
+
   return {
     ...base,
     boards,
-    moveCount:
-      Number.isInteger(rawState?.moveCount) && rawState.moveCount >= 0
-        ? rawState.moveCount
-        : countMoves(boards),
+    moveCount,
+    lastMove: hydrateLastMove(rawState?.lastMove, moveCount),
     currentPlayer: rawState?.currentPlayer === "O" ? "O" : "X",
     nextBoardIndex:
       nextBoardIndex !== null && nextBoardIndex >= 0 && nextBoardIndex < boardCellCount
         ? nextBoardIndex
         : null,
-    winner: normalizeMarker(rawState?.winner),
-    isDraw: !normalizeMarker(rawState?.winner) && Boolean(rawState?.isDraw),
+    winner,
+    winReason,
+    winningLines,
+    winningMove:
+      winningLines.length > 0
+        ? hydrateWinningMove(rawState?.winningMove, ["boardIndex", "cellIndex", "moveNumber"])
+        : null,
+    timedOutPlayer:
+      winner && rawState?.winReason === "timeout" ? normalizeMarker(rawState?.timedOutPlayer) : null,
+    isDraw: !winner && Boolean(rawState?.isDraw),
   };
 };
 
-const createGameEntry = (size, gameNumber) => {
+const createGameEntry = (size, gameNumber, rules = null, timeControl = null) => {
   const now = safeNow();
   return {
     id: createId(),
     name: `Game ${gameNumber}`,
     createdAt: now,
     updatedAt: now,
-    gameState: createInitialGameState(size),
+    gameState: createInitialGameState(size, rules),
+    redoMoves: [],
+    opponent: null,
+    clock: createClock(timeControl),
+    players: { X: null, O: null },
+    roundId: createId(),
+    resultRecorded: false,
   };
 };
 
-const createDefaultStore = () => {
+// Restarting or importing replaces the entry's game with a new one. The new round gets its own
+// id, so its result is recorded even though the entry's earlier game already was.
+export const startNewRound = (entry, gameState, clock = null) => ({
+  ...entry,
+  gameState,
+  redoMoves: [],
+  clock,
+  roundId: createId(),
+  resultRecorded: false,
+  updatedAt: safeNow(),
+});
+
+const coerceSide = (value) => (value === "X" || value === "O" ? value : null);
+
+export const hydrateOpponent = (rawOpponent) => {
+  const opponent = {
+    type: rawOpponent?.type === "computer" ? "computer" : "human",
+    computerPlayer: rawOpponent?.computerPlayer === "X" ? "X" : "O",
+    difficulty: normalizeDifficulty(rawOpponent?.difficulty),
+  };
+  if (rawOpponent?.type === "peer") {
+    return { ...opponent, type: "peer", side: coerceSide(rawOpponent.side) };
+  }
+  if (rawOpponent?.type !== "online" || typeof rawOpponent.serverUrl !== "string") {
+    return opponent;
+  }
+
+  return {
+    ...opponent,
+    type: "online",
+    serverUrl: rawOpponent.serverUrl,
+    code: typeof rawOpponent.code === "string" ? rawOpponent.code : null,
+    token: typeof rawOpponent.token === "string" ? rawOpponent.token : null,
+    side: coerceSide(rawOpponent.side),
+  };
+};
+
+const hydratePlayers = (rawPlayers) => ({
+  X: typeof rawPlayers?.X === "string" ? rawPlayers.X : null,
+  O: typeof rawPlayers?.O === "string" ? rawPlayers.O : null,
+});
+
+export const createDefaultStore = () => {
   const firstGame = createGameEntry(DEFAULT_SIZE, 1);
   return {
-    version: STORAGE_VERSION,
     activeGameId: firstGame.id,
-    soundEnabled: true,
+    audio: normalizeAudioSettings(null),
+    analysisEnabled: false,
+    tutorialProgress: [],
+    puzzleStats: normalizePuzzleStats(null),
+    rendererMode: normalizeRendererMode(null),
+    graphicsQuality: normalizeQualityMode(null),
+    motionMode: normalizeMotionMode(null),
+    cameraView: normalizeCameraView(null),
+    cameraFocus: normalizeCameraFocus(null),
+    themeId: normalizeThemeId(null),
     sizeInput: String(DEFAULT_SIZE),
+    rulesInput: normalizeRulesInput(null),
+    timeControlInput: normalizeTimeControl(null),
     games: [firstGame],
   };
 };
@@ -97,11 +253,15 @@ const hydrateGames = (rawGames) => {
 
   const seenIds = new Set();
   return rawGames.reduce((acc, rawGame, index) => {
+    const gameState = hydrateGameState(rawGame?.gameState);
+    if (!gameState) {
+      return acc;
+    }
+
     const idCandidate = typeof rawGame?.id === "string" ? rawGame.id.trim() : "";
     const id = idCandidate && !seenIds.has(idCandidate) ? idCandidate : createId();
     seenIds.add(id);
 
-    const gameState = hydrateGameState(rawGame?.gameState);
     const now = safeNow();
     const createdAt =
       Number.isFinite(rawGame?.createdAt) && rawGame.createdAt > 0 ? rawGame.createdAt : now;
@@ -117,66 +277,102 @@ const hydrateGames = (rawGames) => {
       createdAt,
       updatedAt,
       gameState,
+      redoMoves: hydrateMoveList(rawGame?.redoMoves),
+      opponent: hydrateOpponent(rawGame?.opponent),
+      clock: hydrateClock(rawGame?.clock),
+      players: hydratePlayers(rawGame?.players),
+      // Saves from before rounds recorded results under the entry id.
+      roundId: typeof rawGame?.roundId === "string" && rawGame.roundId ? rawGame.roundId : id,
+      resultRecorded: rawGame?.resultRecorded === true,
     });
 
     return acc;
   }, []);
 };
 
-export const loadGameStore = () => {
-  if (!hasLocalStorage()) {
+// Builds the in-memory store from its saved form; anything missing or malformed falls back to
+// the defaults, and a store without usable games starts with a fresh one.
+export const hydrateStore = (raw) => {
+  if (!raw || typeof raw !== "object") {
     return createDefaultStore();
   }
 
-  try {
-    const rawText = window.localStorage.getItem(STORAGE_KEY);
-    if (!rawText) {
-      return createDefaultStore();
-    }
-
-    const parsed = JSON.parse(rawText);
-    const hydratedGames = hydrateGames(parsed?.games);
-    const games = hydratedGames.length > 0 ? hydratedGames : createDefaultStore().games;
-    const activeGameId =
-      typeof parsed?.activeGameId === "string" && games.some((game) => game.id === parsed.activeGameId)
-        ? parsed.activeGameId
-        : games[0].id;
-    const activeGame = games.find((game) => game.id === activeGameId) ?? games[0];
+  const hydratedGames = hydrateGames(raw.games);
+  const games = hydratedGames.length > 0 ? hydratedGames : createDefaultStore().games;
+  const activeGameId =
+    typeof raw.activeGameId === "string" && games.some((game) => game.id === raw.activeGameId)
+      ? raw.activeGameId
+      : games[0].id;
+  const activeGame = games.find((game) => game.id === activeGameId) ?? games[0];
 
-    return {
-      version: STORAGE_VERSION,
-      activeGameId,
-      soundEnabled: parsed?.soundEnabled !== false,
-      sizeInput: String(normalizeSize(parsed?.sizeInput ?? activeGame.gameState.size)),
-      games,
-    };
-  } catch {
-    return createDefaultStore();
-  }
+  return {
+    activeGameId,
+    audio: normalizeAudioSettings(raw.audio),
+    analysisEnabled: raw.analysisEnabled === true,
+    tutorialProgress: normalizeTutorialProgress(raw.tutorialProgress),
+    puzzleStats: normalizePuzzleStats(raw.puzzleStats),
+    rendererMode: normalizeRendererMode(raw.rendererMode),
+    graphicsQuality: normalizeQualityMode(raw.graphicsQuality),
+    motionMode: normalizeMotionMode(raw.motionMode),
+    cameraView: normalizeCameraView(raw.cameraView),
+    cameraFocus: normalizeCameraFocus(raw.cameraFocus),
+    themeId: normalizeThemeId(raw.themeId),
+    sizeInput: String(
+      Math.min(
+        Math.max(normalizeSize(raw.sizeInput ?? activeGame.gameState.size), MIN_SIZE),
+        MAX_SIZE,
+      ),
+    ),
+    rulesInput: normalizeRulesInput(raw.rulesInput),
+    timeControlInput: normalizeTimeControl(raw.timeControlInput),
+    games,
+  };
 };
 
-export const saveGameStore = (store) => {
-  if (!hasLocalStorage()) {
-    return;
-  }
+export const serializeStore = (store) => ({
+  activeGameId: store.activeGameId,
+  audio: store.audio,
+  analysisEnabled: store.analysisEnabled === true,
+  tutorialProgress: store.tutorialProgress,
+  puzzleStats: store.puzzleStats,
+  rendererMode: store.rendererMode,
+  graphicsQuality: store.graphicsQuality,
+  motionMode: store.motionMode,
+  cameraView: store.cameraView,
+  cameraFocus: store.cameraFocus,
+  themeId: store.themeId,
+  sizeInput: store.sizeInput,
+  rulesInput: store.rulesInput,
+  timeControlInput: store.timeControlInput,
+  games: store.games,
+});
 
-  const payload = {
-    version: STORAGE_VERSION,
-    activeGameId: store.activeGameId,
-    soundEnabled: store.soundEnabled,
-    sizeInput: store.sizeInput,
-    games: store.games,
-  };
+export const createNextGameEntry = (size, existingGames, rules = null, timeControl = null) =>
+  createGameEntry(
+    size,
+    Array.isArray(existingGames) ? existingGames.length + 1 : 1,
+    rules,
+    timeControl,
+  );
 
-  window.localStorage.setItem(STORAGE_KEY, JSON.stringify(payload));
+export const duplicateGameEntry = (entry, existingGames) => {
+  const copy = createNextGameEntry(entry.gameState.size, existingGames);
+  return {
+    ...entry,
+    id: copy.id,
+    name: `${entry.name} (copy)`,
+    createdAt: copy.createdAt,
+    updatedAt: copy.updatedAt,
+  };
 };
 
-export const createNextGameEntry = (size, existingGames) =>
-  createGameEntry(size, Array.isArray(existingGames) ? existingGames.length + 1 : 1);
-
 export const describeGameStatus = (gameState) => {
   if (gameState.winner) {
-    return { kind: "won", label: `Winner: ${gameState.winner}` };
+    const reasonNotes = { "most-boards": " (most boards)", timeout: " (on time)" };
+    return {
+      kind: "won",
+      label: `Winner: ${gameState.winner}${reasonNotes[gameState.winReason] ?? ""}`,
+    };
   }
   if (gameState.isDraw) {
     return { kind: "draw", label: "Draw" };
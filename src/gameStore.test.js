@@ -0,0 +1,28 @@
+import { describe, expect, test } from "vitest";
+import { createInitialGameState } from "./gameLogic";
+import { hydrateGameState, hydrateStore } from "./gameStore";
+
+describe("hydrateStore", () => {
+  test("drops saved games with a board size outside 2 to 6", () => {
+    const library = hydrateStore({
+      activeGameId: "huge",
+      games: [
+        { id: "huge", gameState: { ...createInitialGameState(3), size: 40 } },
+        { id: "four", gameState: createInitialGameState(4) },
+      ],
+    });
+    expect(library.games.map((entry) => entry.id)).toEqual(["four"]);
+    expect(library.activeGameId).toBe("four");
+  });
+
+  test("starts a fresh game when no saved game is usable", () => {
+    const library = hydrateStore({ games: [{ id: "huge", gameState: { size: 100 } }] });
+    expect(library.games).toHaveLength(1);
+    expect(library.games[0].gameState.size).toBe(3);
+  });
+
+  test("keeps supported sizes", () => {
+    expect(hydrateGameState({ size: 6 }).size).toBe(6);
+    expect(hydrateGameState({ size: 7 })).toBeNull();
+  });
+});
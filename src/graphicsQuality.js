@@ -0,0 +1,127 @@
+import { useEffect, useState } from "react";
+
+export const QUALITY_LEVELS = ["low", "medium", "high", "ultra"];
+
+export const QUALITY_MODES = [
+  { id: "auto", label: "Auto" },
+  { id: "low", label: "Low" },
+  { id: "medium", label: "Medium" },
+  { id: "high", label: "High" },
+  { id: "ultra", label: "Ultra" },
+];
+
+export const MOTION_MODES = [
+  { id: "system", label: "Follow system" },
+  { id: "reduced", label: "Reduced" },
+  { id: "full", label: "Full" },
+];
+
+export const CAMERA_VIEWS = [
+  { id: "top", label: "Top-down" },
+  { id: "isometric", label: "Isometric" },
+  { id: "orbit", label: "Cinematic orbit" },
+];
+
+export const CAMERA_FOCUS_MODES = [
+  { id: "off", label: "Off" },
+  { id: "forced", label: "Forced board" },
+];
+
+// "high" is the original look; "low" drops every particle system and post effect.
+export const QUALITY_PRESETS = {
+  low: {
+    dpr: 1,
+    stars: 0,
+    sparkles: 0,
+    clouds: 0,
+    confetti: 0,
+    blobSegments: 12,
+    bloom: false,
+    chromaticAberration: false,
+    noise: false,
+    vignette: false,
+  },
+  medium: {
+    dpr: [1, 1.5],
+    stars: 180,
+    sparkles: 70,
+    clouds: 1,
+    confetti: 90,
+    blobSegments: 20,
+    bloom: true,
+    chromaticAberration: false,
+    noise: false,
+    vignette: true,
+  },
+  high: {
+    dpr: [1, 2],
+    stars: 420,
+    sparkles: 220,
+    clouds: 2,
+    confetti: 180,
+    blobSegments: 28,
+    bloom: true,
+    chromaticAberration: true,
+    noise: true,
+    vignette: true,
+  },
+  ultra: {
+    dpr: [1, 2],
+    stars: 900,
+    sparkles: 420,
+    clouds: 2,
+    confetti: 320,
+    blobSegments: 40,
+    bloom: true,
+    chromaticAberration: true,
+    noise: true,
+    vignette: true,
+  },
+};
+
+export const AUTO_START_LEVEL = "high";
+
+export const normalizeQualityMode = (value) =>
+  QUALITY_MODES.some((mode) => mode.id === value) ? value : "auto";
+
+export const normalizeMotionMode = (value) =>
+  MOTION_MODES.some((mode) => mode.id === value) ? value : "system";
+
+export const normalizeCameraView = (value) =>
+  CAMERA_VIEWS.some((view) => view.id === value) ? value : "top";
+
+export const normalizeCameraFocus = (value) =>
+  CAMERA_FOCUS_MODES.some((mode) => mode.id === value) ? value : "off";
+
+export const stepQualityLevel = (level, direction) => {
+  const index = QUALITY_LEVELS.indexOf(level);
+  const nextIndex = Math.min(Math.max(index + direction, 0), QUALITY_LEVELS.length - 1);
+  return QUALITY_LEVELS[nextIndex];
+};
+
+const REDUCED_MOTION_QUERY = "(prefers-reduced-motion: reduce)";
+
+const getSystemReducedMotion = () =>
+  typeof window !== "undefined" &&
+  typeof window.matchMedia === "function" &&
+  window.matchMedia(REDUCED_MOTION_QUERY).matches;
+
+// Resolves the motion setting to a boolean, tracking the OS preference while on "system".
+export const useReducedMotion = (motionMode) => {
+  const [systemReduced, setSystemReduced] = useState(getSystemReducedMotion);
+
+  useEffect(() => {
+    if (typeof window === "undefined" || typeof window.matchMedia !== "function") {
+      return undefined;
+    }
+    const query = window.matchMedia(REDUCED_MOTION_QUERY);
+    const handleChange = () => setSystemReduced(query.matches);
+    query.addEventListener("change", handleChange);
+    return () => query.removeEventListener("change", handleChange);
+  }, []);
+
+  if (motionMode === "reduced") {
+    return true;
+  }
+  return motionMode === "full" ? false : systemReduced;
+};
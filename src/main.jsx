@@ -1,13 +1,22 @@
 import React from "react";
 import ReactDOM from "react-dom/client";
 import App from "./App";
+import { getDefaultData, loadPersistedData } from "./persistence";
 import "./styles.css";
 
-ReactDOM.createRoot(document.getElementById("root")).render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>,
-);
+const render = (initialData) => {
+  ReactDOM.createRoot(document.getElementById("root")).render(
+    <React.StrictMode>
+      <App initialData={initialData} />
+    </React.StrictMode>,
+  );
+};
+
+// Saves may come from IndexedDB, so the app mounts once they are read, or with the defaults
+// if reading them fails.
+loadPersistedData()
+  .catch(() => getDefaultData())
+  .then(render);
 
 if (import.meta.env.PROD && "serviceWorker" in navigator) {
   window.addEventListener("load", () => {
@@ -0,0 +1,193 @@
+import { getLegalMoves, scoreAction } from "./aiPlayer";
+import {
+  chooseNextBoard,
+  getAllowedBoardIndexes,
+  getLineWinner,
+  isBoardResolved,
+  makeMove,
+} from "./gameLogic";
+
+const togglePlayer = (player) => (player === "X" ? "O" : "X");
+
+const completesLocalLine = (game, boardIndex, cellIndex, player) => {
+  const cells = game.boards[boardIndex].cells.slice();
+  cells[cellIndex] = player;
+  return getLineWinner(cells, game.size, game.rules.winLength, [player])?.player === player;
+};
+
+// Whether `player` capturing `boardIndex` would complete a meta line.
+const completesMetaLine = (game, boardIndex, player) => {
+  const owners = game.boards.map((board, index) => {
+    if (index === boardIndex) {
+      return player;
+    }
+    return board.isDraw && game.rules.drawnBoards === "both" ? "both" : board.winner;
+  });
+  const owns = (owner, candidate) => owner === candidate || owner === "both";
+  return getLineWinner(owners, game.size, game.rules.winLength, [player], owns)?.player === player;
+};
+
+const getCaptureCells = (game, boardIndex, player) => {
+  const board = game.boards[boardIndex];
+  if (isBoardResolved(board)) {
+    return [];
+  }
+  return board.cells
+    .map((_, cellIndex) => cellIndex)
+    .filter(
+      (cellIndex) =>
+        board.cells[cellIndex] === null && completesLocalLine(game, boardIndex, cellIndex, player),
+    );
+};
+
+// What the opponent can do on the boards the position leaves them.
+const describeExposure = (next, opponent) => {
+  const reachable = next.boardChoicePending ? [] : getAllowedBoardIndexes(next);
+  const capturable = reachable.filter(
+    (boardIndex) => getCaptureCells(next, boardIndex, opponent).length > 0,
+  );
+  return {
+    freeMove: !next.boardChoicePending && next.nextBoardIndex === null,
+    canCapture: capturable.length > 0,
+    canWinGame: capturable.some((boardIndex) => completesMetaLine(next, boardIndex, opponent)),
+  };
+};
+
+// Tags what a cell move does for the player on turn, e.g. ["wins-board", "blocks-meta"].
+export const classifyMove = (game, boardIndex, cellIndex) => {
+  const player = game.currentPlayer;
+  const opponent = togglePlayer(player);
+  const next = makeMove(game, boardIndex, cellIndex);
+  if (next === game) {
+    return null;
+  }
+
+  if (next.winner === player) {
+    return ["wins-game"];
+  }
+  const tags = [];
+  const captures = next.boards[boardIndex].winner === player;
+  const blocksBoard = completesLocalLine(game, boardIndex, cellIndex, opponent);
+  if (captures) {
+    tags.push("wins-board");
+  }
+  if ((captures || blocksBoard) && completesMetaLine(game, boardIndex, opponent)) {
+    tags.push("blocks-meta");
+  } else if (blocksBoard) {
+    tags.push("blocks-board");
+  }
+  if (next.winner || next.isDraw) {
+    return tags;
+  }
+
+  if (next.boardChoicePending) {
+    tags.push("picks-board");
+    return tags;
+  }
+  const exposure = describeExposure(next, opponent);
+  if (exposure.canWinGame) {
+    tags.push("allows-game-win");
+  } else if (exposure.canCapture) {
+    tags.push("allows-capture");
+  }
+  if (exposure.freeMove) {
+    tags.push("gives-free-move");
+  }
+  return tags;
+};
+
+const classifyBoardChoice = (game, sendBoardIndex) => {
+  const opponent = togglePlayer(game.currentPlayer);
+  const next = chooseNextBoard(game, sendBoardIndex);
+  if (next === game) {
+    return null;
+  }
+  const exposure = describeExposure(next, opponent);
+  if (exposure.canWinGame) {
+    return ["allows-game-win"];
+  }
+  return exposure.canCapture ? ["allows-capture"] : [];
+};
+
+const RISKS = ["allows-game-win", "allows-capture", "gives-free-move"];
+
+// Turns tags into short reasons. Risks the pick sidesteps are only worth saying when some
+// other legal move would have walked into them.
+const describeReasons = (tags, alternativeTags, player) => {
+  const opponent = togglePlayer(player);
+  const reasons = [];
+  const has = (tag) => tags.includes(tag);
+  const othersHave = (tag) => alternativeTags.some((entry) => entry.includes(tag));
+
+  if (has("wins-game")) {
+    return ["wins the game"];
+  }
+  if (has("wins-board")) {
+    reasons.push("wins local board");
+  }
+  if (has("blocks-meta")) {
+    reasons.push(`blocks ${opponent}'s meta line`);
+  }
+  if (has("blocks-board")) {
+    reasons.push(`blocks ${opponent}'s line on this board`);
+  }
+  if (has("picks-board")) {
+    reasons.push(`lets you pick ${opponent}'s next board`);
+  }
+
+  if (!has("allows-game-win") && othersHave("allows-game-win")) {
+    reasons.push(`avoids sending ${opponent} to a game-winning board`);
+  } else if (!has("allows-game-win") && !has("allows-capture") && othersHave("allows-capture")) {
+    reasons.push(`avoids sending ${opponent} to a board they can win`);
+  }
+  if (!has("gives-free-move") && othersHave("gives-free-move")) {
+    reasons.push(`avoids sending ${opponent} to an open board`);
+  }
+
+  if (reasons.length === 0) {
+    const fallback = RISKS.some(has)
+      ? "every option has a drawback; this one costs least"
+      : "takes a strong square";
+    reasons.push(fallback);
+  }
+  return reasons;
+};
+
+// Best move for the player on turn by the heuristic scorer, with the reasons behind it.
+// Returns { boardIndex, cellIndex } or { sendBoardIndex } plus `player` and `reasons`.
+export const suggestHint = (game) => {
+  if (game.winner || game.isDraw) {
+    return null;
+  }
+
+  const moves = getLegalMoves(game);
+  if (moves.length === 0) {
+    return null;
+  }
+
+  const classified = moves.map((move) => ({
+    move,
+    score: scoreAction(game, move),
+    tags: Number.isInteger(move.sendBoardIndex)
+      ? classifyBoardChoice(game, move.sendBoardIndex)
+      : classifyMove(game, move.boardIndex, move.cellIndex),
+  }));
+  const best = classified.reduce((top, entry) => (entry.score > top.score ? entry : top));
+  return {
+    ...best.move,
+    player: game.currentPlayer,
+    reasons: describeReasons(
+      best.tags ?? [],
+      classified.filter((entry) => entry !== best).map((entry) => entry.tags ?? []),
+      game.currentPlayer,
+    ),
+  };
+};
+
+// Hints are counted per player from the moves that were played after asking for one.
+export const countHints = (game) =>
+  (game.moves ?? []).reduce(
+    (counts, move) =>
+      move.hinted ? { ...counts, [move.player]: counts[move.player] + 1 } : counts,
+    { X: 0, O: 0 },
+  );
@@ -0,0 +1,125 @@
+import { chooseNextBoard, createInitialGameState, makeMove } from "./gameLogic";
+
+const RELAY_PORT = 8787;
+const MIN_RECONNECT_DELAY_MS = 800;
+const MAX_RECONNECT_DELAY_MS = 15_000;
+
+export const getDefaultRelayUrl = () => {
+  if (typeof window === "undefined") {
+    return `ws://localhost:${RELAY_PORT}`;
+  }
+  const protocol = window.location.protocol === "https:" ? "wss:" : "ws:";
+  return `${protocol}//${window.location.hostname || "localhost"}:${RELAY_PORT}`;
+};
+
+// Network actions are either cell moves `{ type: "move", boardIndex, cellIndex, player }` or
+// board picks `{ type: "choose", sendBoardIndex, player }`.
+export const applyNetworkAction = (state, action) => {
+  if (!action || action.player !== state.currentPlayer) {
+    return state;
+  }
+
+  const timestamp = Number.isFinite(action.timestamp) ? action.timestamp : Date.now();
+  if (action.type === "choose") {
+    return chooseNextBoard(state, action.sendBoardIndex);
+  }
+  return makeMove(state, action.boardIndex, action.cellIndex, timestamp);
+};
+
+// Rebuilds the game from the relay's log, validating every action with the engine. Actions
+// the engine rejects are skipped, so both browsers end up with the same position.
+export const rebuildFromActions = (size, rules, actions) =>
+  (Array.isArray(actions) ? actions : []).reduce(
+    (state, action) => applyNetworkAction(state, action),
+    createInitialGameState(size, rules),
+  );
+
+// Flattens a game's move list back into network actions, so a peer can be sent the whole log.
+export const getGameActions = (game) =>
+  (game.moves ?? []).flatMap((move) => {
+    const action = {
+      type: "move",
+      boardIndex: move.boardIndex,
+      cellIndex: move.cellIndex,
+      player: move.player,
+      timestamp: move.timestamp,
+    };
+    return Number.isInteger(move.sendBoardIndex)
+      ? [action, { type: "choose", sendBoardIndex: move.sendBoardIndex, player: move.player }]
+      : [action];
+  });
+
+// Opens a WebSocket to the relay and keeps it open with backoff. `getHandshake` is called on
+// every (re)connect so the caller can rejoin its room with the latest code and token.
+export const createRelayConnection = ({ url, getHandshake, onMessage, onStatusChange }) => {
+  let socket = null;
+  let closedByUser = false;
+  let attempts = 0;
+  let reconnectTimer = null;
+
+  const setStatus = (status) => onStatusChange?.(status);
+
+  const scheduleReconnect = () => {
+    const delay = Math.min(MIN_RECONNECT_DELAY_MS * 2 ** attempts, MAX_RECONNECT_DELAY_MS);
+    attempts += 1;
+    setStatus("reconnecting");
+    reconnectTimer = setTimeout(open, delay);
+  };
+
+  function open() {
+    reconnectTimer = null;
+    setStatus(attempts === 0 ? "connecting" : "reconnecting");
+
+    try {
+      socket = new WebSocket(url);
+    } catch {
+      scheduleReconnect();
+      return;
+    }
+
+    socket.addEventListener("open", () => {
+      attempts = 0;
+      setStatus("open");
+      const handshake = getHandshake();
+      if (handshake) {
+        socket.send(JSON.stringify(handshake));
+      }
+    });
+
+    socket.addEventListener("message", (event) => {
+      try {
+        onMessage(JSON.parse(event.data));
+      } catch {
+        // Ignore malformed relay frames; the next sync restores the log.
+      }
+    });
+
+    socket.addEventListener("close", () => {
+      socket = null;
+      if (closedByUser) {
+        setStatus("closed");
+        return;
+      }
+      scheduleReconnect();
+    });
+  }
+
+  open();
+
+  return {
+    send: (message) => {
+      if (socket && socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify(message));
+        return true;
+      }
+      return false;
+    },
+    close: () => {
+      closedByUser = true;
+      if (reconnectTimer) {
+        clearTimeout(reconnectTimer);
+      }
+      socket?.close();
+    },
+  };
+};
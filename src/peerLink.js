@@ -0,0 +1,157 @@
+const ICE_SERVERS = [{ urls: "stun:stun.l.google.com:19302" }];
+const ICE_GATHER_TIMEOUT_MS = 5000;
+const SIGNAL_PREFIX = "STTT1";
+
+const toBase64 = (bytes) => {
+  let binary = "";
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+};
+
+const fromBase64 = (text) => Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+
+const pipeBytes = async (bytes, stream) =>
+  new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+
+// Signals are the SDP offer/answer with every ICE candidate inlined, deflated when the browser
+// supports it, so players only swap one code each way.
+export const encodeSignal = async (description) => {
+  const bytes = new TextEncoder().encode(
+    JSON.stringify({ type: description.type, sdp: description.sdp }),
+  );
+  if (typeof CompressionStream === "undefined") {
+    return `${SIGNAL_PREFIX}.j.${toBase64(bytes)}`;
+  }
+  const compressed = await pipeBytes(bytes, new CompressionStream("deflate-raw"));
+  return `${SIGNAL_PREFIX}.z.${toBase64(compressed)}`;
+};
+
+export const decodeSignal = async (text, expectedType) => {
+  const match = new RegExp(`^${SIGNAL_PREFIX}\\.([jz])\\.(.+)$`).exec(
+    String(text ?? "").replace(/\s+/g, ""),
+  );
+  if (!match) {
+    throw new Error("That is not a Super Tic-Tac-Toe link code.");
+  }
+  if (match[1] === "z" && typeof DecompressionStream === "undefined") {
+    throw new Error("This browser cannot read compressed link codes.");
+  }
+
+  let description = null;
+  try {
+    const bytes = fromBase64(match[2]);
+    const json =
+      match[1] === "z" ? await pipeBytes(bytes, new DecompressionStream("deflate-raw")) : bytes;
+    description = JSON.parse(new TextDecoder().decode(json));
+  } catch {
+    throw new Error("The link code is damaged; copy it again in full.");
+  }
+
+  if (description?.type !== expectedType || typeof description.sdp !== "string") {
+    throw new Error(
+      expectedType === "offer"
+        ? "Paste the invitation code from the host."
+        : "Paste the reply code from the other player.",
+    );
+  }
+  return description;
+};
+
+const waitForIceGathering = (connection) =>
+  new Promise((resolve) => {
+    if (connection.iceGatheringState === "complete") {
+      resolve();
+      return;
+    }
+
+    const finish = () => {
+      clearTimeout(timer);
+      connection.removeEventListener("icegatheringstatechange", handleChange);
+      resolve();
+    };
+    const handleChange = () => {
+      if (connection.iceGatheringState === "complete") {
+        finish();
+      }
+    };
+    const timer = setTimeout(finish, ICE_GATHER_TIMEOUT_MS);
+    connection.addEventListener("icegatheringstatechange", handleChange);
+  });
+
+export const isPeerLinkSupported = () => typeof RTCPeerConnection !== "undefined";
+
+// One WebRTC data channel between two browsers. The host calls createOffer and later
+// acceptAnswer; the guest calls acceptOffer. Both get JSON messages through `onMessage`.
+export const createPeerLink = ({ onMessage, onStatusChange }) => {
+  const connection = new RTCPeerConnection({ iceServers: ICE_SERVERS });
+  let channel = null;
+  let closed = false;
+
+  const setStatus = (status) => {
+    if (!closed) {
+      onStatusChange?.(status);
+    }
+  };
+
+  const attachChannel = (nextChannel) => {
+    channel = nextChannel;
+    channel.addEventListener("open", () => setStatus("open"));
+    channel.addEventListener("close", () => setStatus("closed"));
+    channel.addEventListener("message", (event) => {
+      try {
+        onMessage(JSON.parse(event.data));
+      } catch {
+        // Ignore malformed frames; the next hello restores the log.
+      }
+    });
+  };
+
+  connection.addEventListener("connectionstatechange", () => {
+    if (connection.connectionState === "failed") {
+      setStatus("failed");
+    }
+  });
+
+  const describeLocal = async () => {
+    await waitForIceGathering(connection);
+    return encodeSignal(connection.localDescription);
+  };
+
+  return {
+    createOffer: async () => {
+      attachChannel(connection.createDataChannel("moves", { ordered: true }));
+      await connection.setLocalDescription(await connection.createOffer());
+      const signal = await describeLocal();
+      setStatus("inviting");
+      return signal;
+    },
+    acceptOffer: async (text) => {
+      const offer = await decodeSignal(text, "offer");
+      connection.addEventListener("datachannel", (event) => attachChannel(event.channel));
+      await connection.setRemoteDescription(offer);
+      await connection.setLocalDescription(await connection.createAnswer());
+      const signal = await describeLocal();
+      setStatus("replying");
+      return signal;
+    },
+    acceptAnswer: async (text) => {
+      const answer = await decodeSignal(text, "answer");
+      await connection.setRemoteDescription(answer);
+      setStatus("connecting");
+    },
+    send: (message) => {
+      if (channel?.readyState === "open") {
+        channel.send(JSON.stringify(message));
+        return true;
+      }
+      return false;
+    },
+    close: () => {
+      closed = true;
+      channel?.close();
+      connection.close();
+    },
+  };
+};
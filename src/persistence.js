@@ -0,0 +1,337 @@
+import { hydrateStore, serializeStore } from "./gameStore";
+import { hydrateProfileStore } from "./playerProfiles";
+
+// Everything the app saves lives in one document: { schemaVersion, savedAt, library, profiles }.
+// Bump SCHEMA_VERSION together with a new step at the end of MIGRATIONS.
+export const SCHEMA_VERSION = 3;
+
+const DATABASE_NAME = "super-tic-tac-toe";
+const DATABASE_STORE = "documents";
+const DOCUMENT_KEY = "save";
+const LOCAL_DOCUMENT_KEY = "super-ttt-data";
+// Separate keys written before the unified document; read once, then removed after a save.
+const LEGACY_KEYS = {
+  library: "super-tic-tac-toe-save-v1",
+  focused: "super-ttt-focused-v1",
+  profiles: "super-ttt-profiles-v1",
+};
+
+// A database that never answers (a stuck upgrade, some private modes) must not hold up the
+// first render; the load falls back to localStorage after this long.
+const DATABASE_READ_TIMEOUT_MS = 1500;
+
+const QUOTA_ERROR_NAMES = ["QuotaExceededError", "NS_ERROR_DOM_QUOTA_REACHED"];
+
+const isQuotaError = (error) => QUOTA_ERROR_NAMES.includes(error?.name) || error?.code === 22;
+
+const hasLocalStorage = () =>
+  typeof window !== "undefined" && typeof window.localStorage !== "undefined";
+
+const hasIndexedDb = () => typeof indexedDB !== "undefined";
+
+const readLocalJson = (key) => {
+  try {
+    const rawText = window.localStorage.getItem(key);
+    return rawText ? JSON.parse(rawText) : null;
+  } catch {
+    return null;
+  }
+};
+
+const localStorageBackend = {
+  name: "localStorage",
+  read: async () => (hasLocalStorage() ? readLocalJson(LOCAL_DOCUMENT_KEY) : null),
+  write: async (snapshot) => {
+    window.localStorage.setItem(LOCAL_DOCUMENT_KEY, JSON.stringify(snapshot));
+  },
+  remove: async () => {
+    window.localStorage.removeItem(LOCAL_DOCUMENT_KEY);
+  },
+};
+
+let databasePromise = null;
+
+const openDatabase = () => {
+  databasePromise ??= new Promise((resolve, reject) => {
+    const request = indexedDB.open(DATABASE_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(DATABASE_STORE);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error("The save database is blocked by another tab."));
+  });
+  return databasePromise;
+};
+
+const runTransaction = async (mode, action) => {
+  const database = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(DATABASE_STORE, mode);
+    const request = action(transaction.objectStore(DATABASE_STORE));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error ?? request.error);
+    transaction.onabort = () => reject(transaction.error ?? request.error);
+  });
+};
+
+const withTimeout = (promise, milliseconds) => {
+  let timer = null;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error("The save database did not answer.")), milliseconds);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// IndexedDB holds the document as a structured clone, so long move histories cost no JSON
+// round trip and fall under the much larger IndexedDB quota.
+const indexedDbBackend = {
+  name: "indexedDB",
+  read: async () => (await runTransaction("readonly", (store) => store.get(DOCUMENT_KEY))) ?? null,
+  write: (snapshot) => runTransaction("readwrite", (store) => store.put(snapshot, DOCUMENT_KEY)),
+};
+
+// Each step upgrades a document from `version - 1` to `version`. Version 0 is the set of
+// separate keys written by earlier builds.
+const MIGRATIONS = [
+  {
+    version: 1,
+    migrate: (legacy) => ({
+      library: legacy.library,
+      focusedSession: legacy.focused,
+      profiles: legacy.profiles,
+    }),
+  },
+  {
+    // Single-game builds only wrote the focused session. If the library has not absorbed it
+    // yet and it differs from the active game, it joins the library as its own game.
+    version: 2,
+    migrate: ({ focusedSession, library, ...rest }) => {
+      const { focusedSessionMerged, version, ...libraryFields } = library ?? {};
+      if (!focusedSession?.game || focusedSessionMerged === true) {
+        return { ...rest, library: library ? libraryFields : null };
+      }
+
+      const entry = {
+        id: `focused-${Date.now()}`,
+        gameState: focusedSession.game,
+        redoMoves: focusedSession.redoMoves,
+        opponent: focusedSession.opponent,
+        clock: focusedSession.clock,
+      };
+      if (!library) {
+        return {
+          ...rest,
+          library: {
+            activeGameId: entry.id,
+            soundEnabled: focusedSession.soundEnabled !== false,
+            games: [entry],
+          },
+        };
+      }
+
+      const games = Array.isArray(library.games) ? library.games : [];
+      const activeEntry = games.find((game) => game.id === library.activeGameId);
+      const sameBoards =
+        JSON.stringify(activeEntry?.gameState?.boards) === JSON.stringify(entry.gameState.boards);
+      return {
+        ...rest,
+        library: sameBoards
+          ? libraryFields
+          : { ...libraryFields, activeGameId: entry.id, games: [...games, entry] },
+      };
+    },
+  },
+  {
+    // The sound on/off flag became part of the audio settings.
+    version: 3,
+    migrate: ({ library, ...rest }) => {
+      if (!library) {
+        return { ...rest, library: null };
+      }
+      const { soundEnabled, ...libraryFields } = library;
+      return { ...rest, library: { ...libraryFields, audio: { enabled: soundEnabled !== false } } };
+    },
+  },
+];
+
+const getSchemaVersion = (snapshot) =>
+  Number.isInteger(snapshot?.schemaVersion) ? snapshot.schemaVersion : 0;
+
+export const migrateDocument = (rawDocument) => {
+  const startVersion = getSchemaVersion(rawDocument);
+  return MIGRATIONS.filter((step) => step.version > startVersion).reduce(
+    (snapshot, step) => ({ ...step.migrate(snapshot), schemaVersion: step.version }),
+    rawDocument,
+  );
+};
+
+const readLegacyDocument = () => {
+  if (!hasLocalStorage()) {
+    return null;
+  }
+  const legacy = Object.fromEntries(
+    Object.entries(LEGACY_KEYS).map(([field, key]) => [field, readLocalJson(key)]),
+  );
+  return Object.values(legacy).some(Boolean) ? legacy : null;
+};
+
+const removeLegacyKeys = () => {
+  Object.values(LEGACY_KEYS).forEach((key) => window.localStorage.removeItem(key));
+};
+
+const state = {
+  backend: localStorageBackend,
+  localCopyPresent: false,
+  legacyPresent: false,
+  // Set when the save comes from a newer build, which this one must not overwrite.
+  blockedMessage: null,
+  pendingDocument: null,
+  lastResult: null,
+  queue: Promise.resolve(null),
+};
+
+const readNewest = async () => {
+  const localDocument = await localStorageBackend.read();
+  state.localCopyPresent = localDocument !== null;
+  if (!hasIndexedDb()) {
+    return localDocument;
+  }
+
+  try {
+    const databaseDocument = await withTimeout(indexedDbBackend.read(), DATABASE_READ_TIMEOUT_MS);
+    state.backend = indexedDbBackend;
+    // A copy in localStorage means an IndexedDB write failed at some point; keep the newer.
+    return (localDocument?.savedAt ?? 0) > (databaseDocument?.savedAt ?? 0)
+      ? localDocument
+      : databaseDocument;
+  } catch {
+    return localDocument;
+  }
+};
+
+export const getDefaultData = () => ({
+  library: hydrateStore(null),
+  profiles: hydrateProfileStore(null),
+  backend: localStorageBackend.name,
+});
+
+// Resolves with { library, profiles, backend }. Never rejects: a missing or unreadable save
+// starts from the defaults, as the separate loaders did before.
+export const loadPersistedData = async () => {
+  let snapshot = null;
+  try {
+    snapshot = await readNewest();
+    if (!snapshot) {
+      snapshot = readLegacyDocument();
+      state.legacyPresent = snapshot !== null;
+    }
+    if (getSchemaVersion(snapshot) > SCHEMA_VERSION) {
+      state.blockedMessage =
+        "These saves come from a newer version of the app; changes here are not saved.";
+    }
+    snapshot = snapshot ? migrateDocument(snapshot) : null;
+  } catch {
+    snapshot = null;
+  }
+
+  return {
+    library: hydrateStore(snapshot?.library),
+    profiles: hydrateProfileStore(snapshot?.profiles),
+    backend: state.backend.name,
+  };
+};
+
+const createDocument = ({ library, profiles }) => ({
+  schemaVersion: SCHEMA_VERSION,
+  savedAt: Date.now(),
+  library: serializeStore(library),
+  profiles,
+});
+
+// Redo stacks are the only data the app can rebuild without; dropping them is the last try
+// before a save is given up.
+const compactDocument = (snapshot) => ({
+  ...snapshot,
+  library: {
+    ...snapshot.library,
+    games: snapshot.library.games.map((entry) => ({ ...entry, redoMoves: [] })),
+  },
+});
+
+const FULL_MESSAGE =
+  "Storage is full, so recent changes are not saved. Delete old games in the library to free space.";
+
+const writeToLocalStorage = async (snapshot) => {
+  try {
+    await localStorageBackend.write(snapshot);
+    return { ok: true, backend: localStorageBackend.name, compacted: false };
+  } catch (error) {
+    if (!isQuotaError(error)) {
+      return { ok: false, message: "Saving failed; changes are kept until the next try." };
+    }
+  }
+
+  try {
+    await localStorageBackend.write(compactDocument(snapshot));
+    return {
+      ok: true,
+      backend: localStorageBackend.name,
+      compacted: true,
+      message: "Storage is nearly full: undone moves were left out of the save to make room.",
+    };
+  } catch {
+    return { ok: false, message: FULL_MESSAGE };
+  }
+};
+
+const writeLocalCopy = async (snapshot) => {
+  if (!hasLocalStorage()) {
+    return { ok: false, message: "This browser has no storage; games are not saved." };
+  }
+  const result = await writeToLocalStorage(snapshot);
+  state.localCopyPresent ||= result.ok;
+  return result;
+};
+
+const writeDocument = async (snapshot) => {
+  if (state.blockedMessage) {
+    return { ok: false, message: state.blockedMessage };
+  }
+  if (state.backend === indexedDbBackend) {
+    try {
+      await indexedDbBackend.write(snapshot);
+    } catch {
+      // Falls back to localStorage below; the newer savedAt wins on the next load.
+      return writeLocalCopy(snapshot);
+    }
+    if (state.localCopyPresent) {
+      state.localCopyPresent = false;
+      await localStorageBackend.remove().catch(() => {});
+    }
+    return { ok: true, backend: indexedDbBackend.name, compacted: false };
+  }
+  return writeLocalCopy(snapshot);
+};
+
+const writePending = async () => {
+  const snapshot = state.pendingDocument;
+  state.pendingDocument = null;
+  state.lastResult = await writeDocument(snapshot);
+  if (state.lastResult.ok && state.legacyPresent) {
+    state.legacyPresent = false;
+    try {
+      removeLegacyKeys();
+    } catch {
+      // The old keys only cost space; the next load ignores them once the new save exists.
+    }
+  }
+  return state.lastResult;
+};
+
+// Saves run one at a time. A save queued behind a write in flight takes whatever data is
+// newest when its turn comes, so a burst of changes ends in a single write. Resolves with
+// { ok, backend, compacted, message? } or { ok: false, message }, and never rejects.
+export const savePersistedData = (data) => {
+  state.pendingDocument = createDocument(data);
+  state.queue = state.queue.then(() => (state.pendingDocument ? writePending() : state.lastResult));
+  return state.queue;
+};
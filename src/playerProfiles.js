@@ -0,0 +1,158 @@
+const INITIAL_RATING = 1200;
+const RATING_K = 32;
+const MAX_NAME_LENGTH = 24;
+// Only the most recent game ids are kept; they just stop a result being counted twice.
+const MAX_RECORDED_GAMES = 500;
+
+// Computer opponents play at a fixed rating per difficulty so games against them still count.
+export const COMPUTER_RATINGS = { random: 800, heuristic: 1200, search: 1500 };
+
+const safeNow = () => Date.now();
+
+const createId = () => {
+  if (typeof crypto !== "undefined" && typeof crypto.randomUUID === "function") {
+    return crypto.randomUUID();
+  }
+  return `profile-${safeNow()}-${Math.floor(Math.random() * 1_000_000)}`;
+};
+
+const countValue = (value) => (Number.isInteger(value) && value > 0 ? value : 0);
+
+const hydrateRecord = (raw) => ({
+  wins: countValue(raw?.wins),
+  losses: countValue(raw?.losses),
+  draws: countValue(raw?.draws),
+});
+
+export const normalizeProfileName = (value) =>
+  typeof value === "string" ? value.trim().slice(0, MAX_NAME_LENGTH) : "";
+
+export const createProfile = (name) => ({
+  id: createId(),
+  name: normalizeProfileName(name) || "Player",
+  rating: INITIAL_RATING,
+  createdAt: safeNow(),
+  asX: hydrateRecord(null),
+  asO: hydrateRecord(null),
+  totalMoves: 0,
+  boardsCaptured: 0,
+});
+
+const hydrateProfile = (raw) => {
+  if (typeof raw?.id !== "string" || !raw.id) {
+    return null;
+  }
+  return {
+    id: raw.id,
+    name: normalizeProfileName(raw.name) || "Player",
+    rating: Number.isFinite(raw.rating) ? Math.round(raw.rating) : INITIAL_RATING,
+    createdAt: Number.isFinite(raw.createdAt) && raw.createdAt > 0 ? raw.createdAt : safeNow(),
+    asX: hydrateRecord(raw.asX),
+    asO: hydrateRecord(raw.asO),
+    totalMoves: countValue(raw.totalMoves),
+    boardsCaptured: countValue(raw.boardsCaptured),
+  };
+};
+
+export const hydrateProfileStore = (raw) => {
+  const seenIds = new Set();
+  const profiles = (Array.isArray(raw?.profiles) ? raw.profiles : [])
+    .map(hydrateProfile)
+    .filter((profile) => {
+      if (!profile || seenIds.has(profile.id)) {
+        return false;
+      }
+      seenIds.add(profile.id);
+      return true;
+    });
+  return {
+    profiles,
+    recordedGames: Array.isArray(raw?.recordedGames)
+      ? raw.recordedGames.filter((id) => typeof id === "string").slice(-MAX_RECORDED_GAMES)
+      : [],
+  };
+};
+
+export const getProfile = (store, profileId) =>
+  store.profiles.find((profile) => profile.id === profileId) ?? null;
+
+export const getProfileTotals = (profile) => {
+  const wins = profile.asX.wins + profile.asO.wins;
+  const losses = profile.asX.losses + profile.asO.losses;
+  const draws = profile.asX.draws + profile.asO.draws;
+  const games = wins + losses + draws;
+  return {
+    games,
+    wins,
+    losses,
+    draws,
+    averageLength: games > 0 ? profile.totalMoves / games : null,
+  };
+};
+
+const expectedScore = (rating, opponentRating) => 1 / (1 + 10 ** ((opponentRating - rating) / 400));
+
+const scoreFor = (game, player) => {
+  if (game.winner) {
+    return game.winner === player ? 1 : 0;
+  }
+  return 0.5;
+};
+
+const countCaptures = (game, player) =>
+  game.boards.filter((board) => board.winner === player).length;
+
+const applyResult = (profile, game, player, ratingChange) => {
+  const recordKey = player === "X" ? "asX" : "asO";
+  const score = scoreFor(game, player);
+  const outcome = score === 1 ? "wins" : score === 0 ? "losses" : "draws";
+  return {
+    ...profile,
+    rating: profile.rating + ratingChange,
+    [recordKey]: { ...profile[recordKey], [outcome]: profile[recordKey][outcome] + 1 },
+    totalMoves: profile.totalMoves + game.moveCount,
+    boardsCaptured: profile.boardsCaptured + countCaptures(game, player),
+  };
+};
+
+// Records a finished game once per game id. `players` maps X and O to profile ids (or null);
+// `opponentRatings` gives a fixed rating for an unprofiled side, such as the computer. A side
+// with neither is an unrated guest: the result still counts, the rating does not move.
+export const recordGameResult = (store, { gameId, game, players, opponentRatings = {} }) => {
+  if ((!game.winner && !game.isDraw) || store.recordedGames.includes(gameId)) {
+    return store;
+  }
+  const profiles = { X: getProfile(store, players.X), O: getProfile(store, players.O) };
+  if (!profiles.X && !profiles.O) {
+    return store;
+  }
+
+  const ratingOf = (player) => profiles[player]?.rating ?? opponentRatings[player] ?? null;
+  const rated =
+    ratingOf("X") !== null && ratingOf("O") !== null && profiles.X?.id !== profiles.O?.id;
+  const ratingChange = (player) => {
+    if (!rated) {
+      return 0;
+    }
+    const opponent = player === "X" ? "O" : "X";
+    const expected = expectedScore(ratingOf(player), ratingOf(opponent));
+    return Math.round(RATING_K * (scoreFor(game, player) - expected));
+  };
+
+  const updates = new Map();
+  ["X", "O"].forEach((player) => {
+    const profile = profiles[player];
+    if (profile) {
+      updates.set(
+        profile.id,
+        applyResult(updates.get(profile.id) ?? profile, game, player, ratingChange(player)),
+      );
+    }
+  });
+
+  return {
+    ...store,
+    profiles: store.profiles.map((profile) => updates.get(profile.id) ?? profile),
+    recordedGames: [...store.recordedGames, gameId].slice(-MAX_RECORDED_GAMES),
+  };
+};
@@ -0,0 +1,48 @@
+import { describe, expect, test } from "vitest";
+import { createClock } from "./gameClock";
+import { createInitialGameState, forfeitOnTime, makeMove } from "./gameLogic";
+import { createNextGameEntry, hydrateStore, startNewRound } from "./gameStore";
+import {
+  createProfile,
+  getProfileTotals,
+  hydrateProfileStore,
+  recordGameResult,
+} from "./playerProfiles";
+
+const finishGame = (entry) => forfeitOnTime(makeMove(entry.gameState, 4, 4), "O");
+
+const record = (store, entry, game) =>
+  recordGameResult(store, { gameId: entry.roundId, game, players: entry.players });
+
+describe("recordGameResult", () => {
+  const alice = createProfile("Alice");
+  const bob = createProfile("Bob");
+  const emptyStore = hydrateProfileStore({ profiles: [alice, bob] });
+  const entry = { ...createNextGameEntry(3, []), players: { X: alice.id, O: bob.id } };
+
+  test("counts each round once", () => {
+    const game = finishGame(entry);
+    const store = record(emptyStore, entry, game);
+    expect(record(store, entry, game)).toBe(store);
+    expect(getProfileTotals(store.profiles[0]).wins).toBe(1);
+  });
+
+  test("records a restarted entry a second time", () => {
+    const first = record(emptyStore, entry, finishGame(entry));
+    const restarted = startNewRound(entry, createInitialGameState(3), createClock(null));
+    expect(restarted.id).toBe(entry.id);
+    expect(restarted.roundId).not.toBe(entry.roundId);
+    expect(restarted.resultRecorded).toBe(false);
+
+    const second = record(first, restarted, finishGame(restarted));
+    const [aliceAfter, bobAfter] = second.profiles;
+    expect(getProfileTotals(aliceAfter).wins).toBe(2);
+    expect(getProfileTotals(bobAfter).losses).toBe(2);
+    expect(aliceAfter.rating).toBeGreaterThan(first.profiles[0].rating);
+  });
+
+  test("keys saves without a round id on the entry id", () => {
+    const library = hydrateStore({ games: [{ id: "old-entry", gameState: entry.gameState }] });
+    expect(library.games[0].roundId).toBe("old-entry");
+  });
+});
@@ -0,0 +1,213 @@
+import { canPlayInBoard, isBoardResolved, makeMove } from "./gameLogic";
+
+const PLAYERS = ["X", "O"];
+const EVAL_SCALE = 2.5;
+const THREAT_ON_TURN_CHANCE = 0.95;
+const THREAT_OFF_TURN_CHANCE = 0.7;
+const CAPTURE_SHARE = 0.8;
+
+const togglePlayer = (player) => (player === "X" ? "O" : "X");
+
+const lineCache = new Map();
+
+// Every run of `winLength` cells along a row, column or diagonal, as index lists.
+const getLineWindows = (size, winLength) => {
+  const key = `${size}:${winLength}`;
+  if (lineCache.has(key)) {
+    return lineCache.get(key);
+  }
+
+  const windows = [];
+  const directions = [
+    [0, 1],
+    [1, 0],
+    [1, 1],
+    [1, -1],
+  ];
+  for (let row = 0; row < size; row += 1) {
+    for (let col = 0; col < size; col += 1) {
+      directions.forEach(([rowStep, colStep]) => {
+        const endRow = row + rowStep * (winLength - 1);
+        const endCol = col + colStep * (winLength - 1);
+        if (endRow < 0 || endRow >= size || endCol < 0 || endCol >= size) {
+          return;
+        }
+        windows.push(
+          Array.from(
+            { length: winLength },
+            (_, step) => (row + rowStep * step) * size + col + colStep * step,
+          ),
+        );
+      });
+    }
+  }
+  lineCache.set(key, windows);
+  return windows;
+};
+
+const ownsBoard = (board, player, rules) =>
+  board.winner === player || (rules.drawnBoards === "both" && board.isDraw);
+
+// Cells where `player` would complete a local line, per board. Resolved boards have none.
+export const getBoardThreats = (game) => {
+  const windows = getLineWindows(game.size, game.rules.winLength);
+  return game.boards.map((board) => {
+    const threats = { X: [], O: [] };
+    if (isBoardResolved(board)) {
+      return threats;
+    }
+    PLAYERS.forEach((player) => {
+      const cells = new Set();
+      windows.forEach((line) => {
+        const empty = line.filter((index) => board.cells[index] === null);
+        const owned = line.filter((index) => board.cells[index] === player).length;
+        if (empty.length === 1 && owned === line.length - 1) {
+          cells.add(empty[0]);
+        }
+      });
+      threats[player] = [...cells].sort((a, b) => a - b);
+    });
+    return threats;
+  });
+};
+
+// Open boards whose capture would complete a meta line for `player`.
+export const getMetaThreats = (game) => {
+  const { rules } = game;
+  const windows = getLineWindows(game.size, rules.winLength);
+  const threats = { X: [], O: [] };
+  PLAYERS.forEach((player) => {
+    const boards = new Set();
+    windows.forEach((line) => {
+      const open = line.filter((index) => !isBoardResolved(game.boards[index]));
+      const owned = line.filter((index) => ownsBoard(game.boards[index], player, rules)).length;
+      if (open.length === 1 && owned === line.length - 1) {
+        boards.add(open[0]);
+      }
+    });
+    threats[player] = [...boards].sort((a, b) => a - b);
+  });
+  return threats;
+};
+
+// Rough chance that each player ends up owning an open board, from the lines still alive on
+// it. Fresh boards start even; a board nobody can still win counts for nobody.
+const getCaptureChances = (game, boardIndex, threats) => {
+  const board = game.boards[boardIndex];
+  const { winLength } = game.rules;
+  const windows = getLineWindows(game.size, winLength);
+  const potential = { X: 0, O: 0 };
+  let liveLines = 0;
+  windows.forEach((line) => {
+    const xCount = line.filter((index) => board.cells[index] === "X").length;
+    const oCount = line.filter((index) => board.cells[index] === "O").length;
+    if (xCount > 0 && oCount > 0) {
+      return;
+    }
+    liveLines += 1;
+    if (xCount > 0) {
+      potential.X += 3 ** (xCount - winLength);
+    } else if (oCount > 0) {
+      potential.O += 3 ** (oCount - winLength);
+    }
+  });
+  if (liveLines === 0) {
+    return { X: 0, O: 0 };
+  }
+
+  const prior = liveLines * 3 ** -winLength;
+  const total = potential.X + potential.O + prior * 2;
+  const chances = {
+    X: (CAPTURE_SHARE * (potential.X + prior)) / total,
+    O: (CAPTURE_SHARE * (potential.O + prior)) / total,
+  };
+  PLAYERS.forEach((player) => {
+    if (threats[player].length === 0) {
+      return;
+    }
+    const onTurn =
+      game.currentPlayer === player && !game.boardChoicePending && canPlayInBoard(game, boardIndex);
+    chances[player] = Math.max(
+      chances[player],
+      onTurn ? THREAT_ON_TURN_CHANCE : THREAT_OFF_TURN_CHANCE,
+    );
+    const other = togglePlayer(player);
+    chances[other] = Math.min(chances[other], 1 - chances[player]);
+  });
+  return chances;
+};
+
+// Static evaluation: each meta line scores the chance that one player owns every board on it.
+// Returns X's estimated winning chance between 0 and 1.
+export const evaluatePosition = (game, boardThreats = getBoardThreats(game)) => {
+  if (game.winner) {
+    return game.winner === "X" ? 1 : 0;
+  }
+  if (game.isDraw) {
+    return 0.5;
+  }
+
+  const { rules } = game;
+  const ownership = game.boards.map((board, boardIndex) => {
+    if (!isBoardResolved(board)) {
+      return getCaptureChances(game, boardIndex, boardThreats[boardIndex]);
+    }
+    return {
+      X: ownsBoard(board, "X", rules) ? 1 : 0,
+      O: ownsBoard(board, "O", rules) ? 1 : 0,
+    };
+  });
+
+  let score = 0;
+  getLineWindows(game.size, rules.winLength).forEach((line) => {
+    score += line.reduce((chance, index) => chance * ownership[index].X, 1);
+    score -= line.reduce((chance, index) => chance * ownership[index].O, 1);
+  });
+  if (rules.metaTiebreak === "most-boards") {
+    const lead = ownership.reduce((sum, chances) => sum + chances.X - chances.O, 0);
+    score += lead / game.boards.length;
+  }
+
+  return 1 / (1 + Math.exp(-EVAL_SCALE * score));
+};
+
+export const analyzePosition = (game) => {
+  const boardThreats = getBoardThreats(game);
+  return {
+    boardThreats,
+    metaThreats: getMetaThreats(game),
+    xWinChance: evaluatePosition(game, boardThreats),
+  };
+};
+
+// What playing a cell would do: where the opponent is sent, whether it captures the board or
+// ends the game, and how the evaluation moves. Returns null for illegal moves.
+export const previewMove = (game, boardIndex, cellIndex) => {
+  const next = makeMove(game, boardIndex, cellIndex);
+  if (next === game) {
+    return null;
+  }
+
+  const nextThreats = getBoardThreats(next);
+  const opponent = togglePlayer(game.currentPlayer);
+  const sendBoardIndex = next.boardChoicePending ? null : next.nextBoardIndex;
+  const freeMove = !next.boardChoicePending && next.nextBoardIndex === null;
+  const reachableBoards = freeMove
+    ? nextThreats.map((_, index) => index)
+    : [sendBoardIndex].filter((index) => index !== null);
+  return {
+    boardIndex,
+    cellIndex,
+    player: game.currentPlayer,
+    opponent,
+    sendBoardIndex,
+    choosesBoard: next.boardChoicePending,
+    freeMove,
+    captures: next.boards[boardIndex].winner === game.currentPlayer,
+    winsGame: next.winner === game.currentPlayer,
+    endsInDraw: next.isDraw,
+    givesThreat:
+      !next.winner && reachableBoards.some((index) => nextThreats[index][opponent].length > 0),
+    xWinChance: evaluatePosition(next, nextThreats),
+  };
+};
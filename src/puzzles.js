@@ -0,0 +1,264 @@
+import { createInitialGameState, makeMove, replayMoves } from "./gameLogic";
+import { parseRulesTag } from "./gameRules";
+import { parseMove } from "./gameRecord";
+
+export const PUZZLE_PACK_FORMAT = "super-tic-tac-toe-puzzles";
+export const PUZZLE_PACK_VERSION = 1;
+const PUZZLE_SIZES = [2, 3, 4, 5, 6];
+const PLAYERS = ["X", "O"];
+const CLEAN_POINTS = 100;
+const RETRY_POINTS = 25;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const sameMove = (left, right) =>
+  left.boardIndex === right.boardIndex && left.cellIndex === right.cellIndex;
+
+const describePly = (index) => `move ${index + 1}`;
+
+// Parses every token of a list, returning the moves or the first bad token.
+const parseMoveList = (tokens, size) => {
+  if (!Array.isArray(tokens)) {
+    return { error: "is not a list of moves" };
+  }
+  const moves = [];
+  for (const [index, token] of tokens.entries()) {
+    const move = typeof token === "string" ? parseMove(token, size) : null;
+    if (!move) {
+      return { error: `${describePly(index)} "${token}" is not valid notation` };
+    }
+    if (Number.isInteger(move.sendBoardIndex)) {
+      return { error: `${describePly(index)} "${token}" picks a board, which puzzles do not use` };
+    }
+    moves.push(move);
+  }
+  return { moves };
+};
+
+// Replays a solution line from the start position: the solver moves on even plies, the
+// defender on odd ones, and only the last move may end the game, with a win for the solver.
+const validateLine = (start, line, toMove) => {
+  if (line.length % 2 === 0) {
+    return "must end on the solver's move";
+  }
+  let game = start;
+  for (const [index, move] of line.entries()) {
+    const next = makeMove(game, move.boardIndex, move.cellIndex);
+    if (next === game) {
+      return `${describePly(index)} is illegal in that position`;
+    }
+    const isLast = index === line.length - 1;
+    if (!isLast && (next.winner || next.isDraw)) {
+      return `${describePly(index)} ends the game before the line is over`;
+    }
+    if (isLast && next.winner !== toMove) {
+      return `does not finish with a win for ${toMove}`;
+    }
+    game = next;
+  }
+  return null;
+};
+
+const validatePuzzle = (raw, index) => {
+  const label = typeof raw?.id === "string" && raw.id ? `Puzzle "${raw.id}"` : `Puzzle ${index + 1}`;
+  const fail = (reason) => ({ error: `${label} ${reason}.` });
+
+  if (typeof raw?.id !== "string" || !raw.id.trim()) {
+    return fail("needs an id");
+  }
+  const size = raw.size ?? 3;
+  if (!PUZZLE_SIZES.includes(size)) {
+    return fail(`uses an unsupported board size (${size})`);
+  }
+  if (!PLAYERS.includes(raw.toMove)) {
+    return fail('needs "toMove" set to "X" or "O"');
+  }
+  const rules = parseRulesTag(raw.rules, size);
+  if (rules.fullBoardSend === "opponent-picks") {
+    return fail("uses the opponent-picks rule, which puzzles do not support");
+  }
+
+  const setup = parseMoveList(raw.moves ?? [], size);
+  if (setup.error) {
+    return fail(`start position: ${setup.error}`);
+  }
+  let start = createInitialGameState(size, rules);
+  for (const [moveIndex, move] of setup.moves.entries()) {
+    const next = makeMove(start, move.boardIndex, move.cellIndex);
+    if (next === start) {
+      return fail(`start position: ${describePly(moveIndex)} "${raw.moves[moveIndex]}" is illegal`);
+    }
+    start = next;
+  }
+  if (start.winner || start.isDraw) {
+    return fail("starts from a finished game");
+  }
+  if (start.currentPlayer !== raw.toMove) {
+    return fail(`says ${raw.toMove} to move, but the moves leave ${start.currentPlayer} to move`);
+  }
+
+  if (!Array.isArray(raw.solutions) || raw.solutions.length === 0) {
+    return fail("needs at least one solution line");
+  }
+  const solutions = [];
+  for (const [lineIndex, tokens] of raw.solutions.entries()) {
+    const parsed = parseMoveList(tokens, size);
+    const reason = parsed.error ?? validateLine(start, parsed.moves, raw.toMove);
+    if (reason) {
+      return fail(`solution ${lineIndex + 1} ${reason}`);
+    }
+    solutions.push(parsed.moves);
+  }
+
+  const longest = Math.max(...solutions.map((line) => line.length));
+  return {
+    puzzle: {
+      id: raw.id.trim(),
+      title: typeof raw.title === "string" && raw.title.trim() ? raw.title.trim() : raw.id.trim(),
+      size,
+      rules,
+      toMove: raw.toMove,
+      setup: setup.moves,
+      solutions,
+      movesToWin: (longest + 1) / 2,
+    },
+  };
+};
+
+// Accepts a pack object or its JSON text. Returns { ok: true, pack } or { ok: false, errors },
+// where every puzzle is replayed through gameLogic and a single broken puzzle rejects the pack.
+export const loadPuzzlePack = (input) => {
+  let raw = input;
+  if (typeof input === "string") {
+    try {
+      raw = JSON.parse(input);
+    } catch {
+      return { ok: false, errors: ["The pack is not valid JSON."] };
+    }
+  }
+
+  if (raw?.format !== PUZZLE_PACK_FORMAT) {
+    return { ok: false, errors: [`The pack needs "format": "${PUZZLE_PACK_FORMAT}".`] };
+  }
+  if (raw.version !== PUZZLE_PACK_VERSION) {
+    return { ok: false, errors: [`Pack version ${raw.version} is not supported.`] };
+  }
+  if (!Array.isArray(raw.puzzles) || raw.puzzles.length === 0) {
+    return { ok: false, errors: ["The pack has no puzzles."] };
+  }
+
+  const errors = [];
+  const puzzles = [];
+  const seenIds = new Set();
+  raw.puzzles.forEach((entry, index) => {
+    const result = validatePuzzle(entry, index);
+    if (result.error) {
+      errors.push(result.error);
+      return;
+    }
+    if (seenIds.has(result.puzzle.id)) {
+      errors.push(`Puzzle "${result.puzzle.id}" is listed twice.`);
+      return;
+    }
+    seenIds.add(result.puzzle.id);
+    puzzles.push(result.puzzle);
+  });
+  if (errors.length > 0) {
+    return { ok: false, errors };
+  }
+
+  const title = typeof raw.title === "string" && raw.title.trim() ? raw.title.trim() : "Puzzles";
+  const id = typeof raw.id === "string" && raw.id.trim() ? raw.id.trim() : title;
+  return { ok: true, pack: { id, title, puzzles } };
+};
+
+export const createPuzzleGame = (puzzle) => replayMoves(puzzle.size, puzzle.setup, puzzle.rules);
+
+// Checks the solver's move against the lines that match what has been played so far. Any
+// move that wins the game on the spot counts, even if the pack does not list it. Returns
+// { status: "illegal" | "wrong" | "continue" | "solved", game, played, reply }.
+export const playPuzzleMove = (puzzle, game, played, boardIndex, cellIndex) => {
+  const next = makeMove(game, boardIndex, cellIndex);
+  if (next === game) {
+    return { status: "illegal", game, played, reply: null };
+  }
+  const candidate = [...played, { boardIndex, cellIndex }];
+  if (next.winner === puzzle.toMove) {
+    return { status: "solved", game: next, played: candidate, reply: null };
+  }
+
+  const line = puzzle.solutions.find(
+    (entry) =>
+      entry.length > candidate.length &&
+      candidate.every((move, index) => sameMove(move, entry[index])),
+  );
+  if (!line) {
+    return { status: "wrong", game, played, reply: null };
+  }
+
+  const reply = line[candidate.length];
+  return {
+    status: "continue",
+    game: makeMove(next, reply.boardIndex, reply.cellIndex),
+    played: [...candidate, reply],
+    reply,
+  };
+};
+
+export const getPuzzleKey = (pack, puzzle) => `${pack.id}/${puzzle.id}`;
+
+export const normalizePuzzleStats = (value) => {
+  const count = (raw) => (Number.isInteger(raw) && raw > 0 ? raw : 0);
+  const streak = count(value?.streak);
+  return {
+    score: count(value?.score),
+    streak,
+    bestStreak: Math.max(count(value?.bestStreak), streak),
+    solved: Array.isArray(value?.solved)
+      ? [...new Set(value.solved.filter((key) => typeof key === "string"))]
+      : [],
+    dailyStreak: count(value?.dailyStreak),
+    lastDailyDate: typeof value?.lastDailyDate === "string" ? value.lastDailyDate : null,
+  };
+};
+
+export const getDateKey = (date = new Date()) =>
+  [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+    .map((part) => String(part).padStart(2, "0"))
+    .join("-");
+
+const dayNumber = (dateKey) => Math.round(Date.parse(`${dateKey}T00:00:00Z`) / DAY_MS);
+
+// Everyone gets the same puzzle on the same calendar day; the pack cycles after its last one.
+export const getDailyPuzzleIndex = (pack, dateKey = getDateKey()) =>
+  ((dayNumber(dateKey) % pack.puzzles.length) + pack.puzzles.length) % pack.puzzles.length;
+
+export const getPuzzlePoints = (movesToWin, clean) =>
+  (clean ? CLEAN_POINTS : RETRY_POINTS) * movesToWin;
+
+// The first mistake on a puzzle breaks the streak; later ones cost nothing more.
+export const recordPuzzleMistake = (stats) => ({ ...stats, streak: 0 });
+
+// Points are paid once per puzzle: 100 per move to win when solved cleanly, 25 after a
+// mistake. Solving the daily puzzle on consecutive days builds the daily streak.
+export const recordPuzzleSolve = (stats, { key, movesToWin, clean, dailyDate = null }) => {
+  const firstSolve = !stats.solved.includes(key);
+  const streak = clean ? stats.streak + 1 : 0;
+  const next = {
+    ...stats,
+    score: stats.score + (firstSolve ? getPuzzlePoints(movesToWin, clean) : 0),
+    streak,
+    bestStreak: Math.max(stats.bestStreak, streak),
+    solved: firstSolve ? [...stats.solved, key] : stats.solved,
+  };
+  if (!dailyDate || stats.lastDailyDate === dailyDate) {
+    return next;
+  }
+  const continues =
+    stats.lastDailyDate !== null && dayNumber(dailyDate) - dayNumber(stats.lastDailyDate) === 1;
+  return {
+    ...next,
+    dailyStreak: continues ? stats.dailyStreak + 1 : 1,
+    lastDailyDate: dailyDate,
+  };
+};
+
@@ -0,0 +1,46 @@
+export const RENDERER_MODES = [
+  { id: "auto", label: "Auto" },
+  { id: "3d", label: "3D" },
+  { id: "2d", label: "2D" },
+];
+
+export const normalizeRendererMode = (value) =>
+  RENDERER_MODES.some((mode) => mode.id === value) ? value : "auto";
+
+let webglSupport = null;
+
+// "fast" when WebGL runs on the GPU, "slow" when the browser would fall back to a software
+// rasterizer (failIfMajorPerformanceCaveat), and "none" when there is no WebGL at all.
+export const getWebGLSupport = () => {
+  if (webglSupport) {
+    return webglSupport;
+  }
+  if (typeof document === "undefined") {
+    return "none";
+  }
+
+  try {
+    const canvas = document.createElement("canvas");
+    const fastContext =
+      canvas.getContext("webgl2", { failIfMajorPerformanceCaveat: true }) ??
+      canvas.getContext("webgl", { failIfMajorPerformanceCaveat: true });
+    if (fastContext) {
+      webglSupport = "fast";
+    } else {
+      const fallbackCanvas = document.createElement("canvas");
+      webglSupport =
+        fallbackCanvas.getContext("webgl2") ?? fallbackCanvas.getContext("webgl") ? "slow" : "none";
+    }
+    fastContext?.getExtension("WEBGL_lose_context")?.loseContext();
+  } catch {
+    webglSupport = "none";
+  }
+  return webglSupport;
+};
+
+export const resolveRenderer = (mode) => {
+  if (mode === "3d" || mode === "2d") {
+    return mode;
+  }
+  return getWebGLSupport() === "fast" ? "3d" : "2d";
+};
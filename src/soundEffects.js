@@ -1,4 +1,193 @@
 let audioContext = null;
+let buses = null;
+
+const PAN_WIDTH = 0.7;
+const ROW_DETUNE_CENTS = 200;
+const GAIN_SMOOTHING = 0.05;
+
+export const DEFAULT_AUDIO_SETTINGS = {
+  enabled: true,
+  masterVolume: 0.8,
+  sfxVolume: 1,
+  ambientVolume: 0.6,
+  musicEnabled: true,
+  packId: "classic",
+};
+
+// Packs are plain data: each voice is a list of tones for scheduleTone, with `when` offsets in
+// seconds. Every pack has to define every voice.
+export const SOUND_PACKS = [
+  {
+    id: "classic",
+    label: "Classic",
+    voices: {
+      move: [
+        { frequency: 540, when: 0, duration: 0.08, gain: 0.034, type: "triangle" },
+        { frequency: 680, when: 0.05, duration: 0.09, gain: 0.03, type: "triangle" },
+      ],
+      xMove: [
+        { frequency: 560, when: 0, duration: 0.07, gain: 0.032, type: "triangle" },
+        { frequency: 720, when: 0.05, duration: 0.08, gain: 0.034, type: "triangle" },
+        { frequency: 900, when: 0.1, duration: 0.09, gain: 0.036, type: "sine" },
+      ],
+      oMove: [
+        { frequency: 520, when: 0, duration: 0.08, gain: 0.032, type: "triangle" },
+        { frequency: 410, when: 0.06, duration: 0.09, gain: 0.03, type: "triangle" },
+        { frequency: 310, when: 0.12, duration: 0.1, gain: 0.028, type: "sine" },
+      ],
+      interTurn: [
+        { frequency: 482, when: 0.18, duration: 0.06, gain: 0.017, type: "sine" },
+        { frequency: 535, when: 0.24, duration: 0.07, gain: 0.016, type: "sine" },
+      ],
+      invalid: [
+        { frequency: 200, endFrequency: 130, when: 0, duration: 0.14, gain: 0.028, type: "sawtooth" },
+      ],
+      localWin: [
+        { frequency: 392, when: 0, duration: 0.1, gain: 0.03, type: "triangle" },
+        { frequency: 523, when: 0.08, duration: 0.11, gain: 0.032, type: "triangle" },
+        { frequency: 659, when: 0.16, duration: 0.12, gain: 0.034, type: "triangle" },
+      ],
+      superWin: [
+        { frequency: 523, when: 0, duration: 0.11, gain: 0.036, type: "triangle" },
+        { frequency: 659, when: 0.1, duration: 0.11, gain: 0.038, type: "triangle" },
+        { frequency: 784, when: 0.2, duration: 0.12, gain: 0.04, type: "triangle" },
+        { frequency: 1047, when: 0.32, duration: 0.2, gain: 0.046, type: "sine" },
+      ],
+      draw: [
+        { frequency: 440, when: 0, duration: 0.1, gain: 0.028, type: "sine" },
+        { frequency: 392, when: 0.1, duration: 0.1, gain: 0.026, type: "sine" },
+        { frequency: 349, when: 0.2, duration: 0.14, gain: 0.024, type: "sine" },
+      ],
+      lowTime: [
+        { frequency: 880, when: 0, duration: 0.07, gain: 0.026, type: "square" },
+        { frequency: 880, when: 0.14, duration: 0.07, gain: 0.026, type: "square" },
+      ],
+      clockTick: [{ frequency: 1175, when: 0, duration: 0.05, gain: 0.022, type: "square" }],
+      timeout: [
+        { frequency: 660, endFrequency: 220, when: 0, duration: 0.45, gain: 0.036, type: "sawtooth" },
+      ],
+    },
+  },
+  {
+    // Lower, rounder and slower to swell: sine tones only, for shared rooms.
+    id: "soft",
+    label: "Soft",
+    voices: {
+      move: [{ frequency: 392, when: 0, duration: 0.16, gain: 0.022, type: "sine", attack: 0.05 }],
+      xMove: [
+        { frequency: 440, when: 0, duration: 0.14, gain: 0.022, type: "sine", attack: 0.04 },
+        { frequency: 554, when: 0.08, duration: 0.18, gain: 0.02, type: "sine", attack: 0.05 },
+      ],
+      oMove: [
+        { frequency: 415, when: 0, duration: 0.14, gain: 0.022, type: "sine", attack: 0.04 },
+        { frequency: 330, when: 0.08, duration: 0.18, gain: 0.02, type: "sine", attack: 0.05 },
+      ],
+      interTurn: [
+        { frequency: 370, when: 0.22, duration: 0.14, gain: 0.01, type: "sine", attack: 0.05 },
+      ],
+      invalid: [
+        { frequency: 196, endFrequency: 165, when: 0, duration: 0.2, gain: 0.02, type: "sine" },
+      ],
+      localWin: [
+        { frequency: 330, when: 0, duration: 0.2, gain: 0.022, type: "sine", attack: 0.05 },
+        { frequency: 415, when: 0.12, duration: 0.22, gain: 0.022, type: "sine", attack: 0.05 },
+        { frequency: 494, when: 0.24, duration: 0.3, gain: 0.024, type: "sine", attack: 0.06 },
+      ],
+      superWin: [
+        { frequency: 392, when: 0, duration: 0.3, gain: 0.024, type: "sine", attack: 0.06 },
+        { frequency: 494, when: 0.16, duration: 0.3, gain: 0.024, type: "sine", attack: 0.06 },
+        { frequency: 587, when: 0.32, duration: 0.34, gain: 0.026, type: "sine", attack: 0.06 },
+        { frequency: 784, when: 0.5, duration: 0.6, gain: 0.028, type: "sine", attack: 0.08 },
+      ],
+      draw: [
+        { frequency: 349, when: 0, duration: 0.2, gain: 0.02, type: "sine", attack: 0.05 },
+        { frequency: 294, when: 0.16, duration: 0.3, gain: 0.018, type: "sine", attack: 0.05 },
+      ],
+      lowTime: [
+        { frequency: 659, when: 0, duration: 0.12, gain: 0.018, type: "sine" },
+        { frequency: 659, when: 0.2, duration: 0.12, gain: 0.018, type: "sine" },
+      ],
+      clockTick: [{ frequency: 880, when: 0, duration: 0.06, gain: 0.014, type: "sine" }],
+      timeout: [
+        { frequency: 440, endFrequency: 196, when: 0, duration: 0.6, gain: 0.024, type: "sine" },
+      ],
+    },
+  },
+  {
+    // Square-wave arpeggios in the style of 8-bit consoles; gains are lower because square
+    // waves sound louder at the same level.
+    id: "chiptune",
+    label: "Chiptune",
+    voices: {
+      move: [
+        { frequency: 523, when: 0, duration: 0.05, gain: 0.018, type: "square", attack: 0.005 },
+        { frequency: 784, when: 0.05, duration: 0.05, gain: 0.018, type: "square", attack: 0.005 },
+      ],
+      xMove: [
+        { frequency: 659, when: 0, duration: 0.04, gain: 0.018, type: "square", attack: 0.005 },
+        { frequency: 784, when: 0.04, duration: 0.04, gain: 0.018, type: "square", attack: 0.005 },
+        { frequency: 1047, when: 0.08, duration: 0.06, gain: 0.018, type: "square", attack: 0.005 },
+      ],
+      oMove: [
+        { frequency: 523, when: 0, duration: 0.04, gain: 0.018, type: "square", attack: 0.005 },
+        { frequency: 392, when: 0.04, duration: 0.04, gain: 0.018, type: "square", attack: 0.005 },
+        { frequency: 262, when: 0.08, duration: 0.06, gain: 0.018, type: "square", attack: 0.005 },
+      ],
+      interTurn: [
+        { frequency: 1568, when: 0.16, duration: 0.03, gain: 0.008, type: "square", attack: 0.005 },
+      ],
+      invalid: [
+        { frequency: 147, when: 0, duration: 0.06, gain: 0.02, type: "square", attack: 0.005 },
+        { frequency: 110, when: 0.07, duration: 0.09, gain: 0.02, type: "square", attack: 0.005 },
+      ],
+      localWin: [
+        { frequency: 523, when: 0, duration: 0.06, gain: 0.018, type: "square", attack: 0.005 },
+        { frequency: 659, when: 0.06, duration: 0.06, gain: 0.018, type: "square", attack: 0.005 },
+        { frequency: 784, when: 0.12, duration: 0.06, gain: 0.018, type: "square", attack: 0.005 },
+        { frequency: 1047, when: 0.18, duration: 0.12, gain: 0.02, type: "square", attack: 0.005 },
+      ],
+      superWin: [
+        { frequency: 523, when: 0, duration: 0.08, gain: 0.02, type: "square", attack: 0.005 },
+        { frequency: 659, when: 0.08, duration: 0.08, gain: 0.02, type: "square", attack: 0.005 },
+        { frequency: 784, when: 0.16, duration: 0.08, gain: 0.02, type: "square", attack: 0.005 },
+        { frequency: 1047, when: 0.24, duration: 0.08, gain: 0.022, type: "square", attack: 0.005 },
+        { frequency: 784, when: 0.32, duration: 0.08, gain: 0.02, type: "square", attack: 0.005 },
+        { frequency: 1047, when: 0.4, duration: 0.3, gain: 0.024, type: "square", attack: 0.005 },
+      ],
+      draw: [
+        { frequency: 392, when: 0, duration: 0.08, gain: 0.018, type: "square", attack: 0.005 },
+        { frequency: 330, when: 0.1, duration: 0.08, gain: 0.018, type: "square", attack: 0.005 },
+        { frequency: 262, when: 0.2, duration: 0.16, gain: 0.018, type: "square", attack: 0.005 },
+      ],
+      lowTime: [
+        { frequency: 1760, when: 0, duration: 0.04, gain: 0.014, type: "square", attack: 0.005 },
+        { frequency: 1760, when: 0.1, duration: 0.04, gain: 0.014, type: "square", attack: 0.005 },
+      ],
+      clockTick: [
+        { frequency: 2093, when: 0, duration: 0.025, gain: 0.012, type: "square", attack: 0.005 },
+      ],
+      timeout: [
+        { frequency: 523, endFrequency: 65, when: 0, duration: 0.5, gain: 0.02, type: "square" },
+      ],
+    },
+  },
+];
+
+const clampVolume = (value, fallback) =>
+  Number.isFinite(value) ? Math.min(Math.max(value, 0), 1) : fallback;
+
+export const normalizeAudioSettings = (raw) => ({
+  enabled: raw?.enabled !== false,
+  masterVolume: clampVolume(raw?.masterVolume, DEFAULT_AUDIO_SETTINGS.masterVolume),
+  sfxVolume: clampVolume(raw?.sfxVolume, DEFAULT_AUDIO_SETTINGS.sfxVolume),
+  ambientVolume: clampVolume(raw?.ambientVolume, DEFAULT_AUDIO_SETTINGS.ambientVolume),
+  musicEnabled: raw?.musicEnabled !== false,
+  packId: SOUND_PACKS.some((pack) => pack.id === raw?.packId)
+    ? raw.packId
+    : DEFAULT_AUDIO_SETTINGS.packId,
+});
+
+const getSoundPack = (packId) => SOUND_PACKS.find((pack) => pack.id === packId) ?? SOUND_PACKS[0];
 
 const createAudioContext = () => {
   if (typeof window === "undefined") {
@@ -29,10 +218,92 @@ const getAudioContext = () => {
   return audioContext;
 };
 
-const scheduleTone = (
+// Sliders feel linear to the ear when the gain follows the square of their position.
+const toGain = (volume) => volume * volume;
+
+const getBusLevels = (settings) => ({
+  master: settings.enabled ? toGain(settings.masterVolume) : 0,
+  sfx: toGain(settings.sfxVolume),
+  ambient: toGain(settings.ambientVolume),
+});
+
+let currentSettings = DEFAULT_AUDIO_SETTINGS;
+
+// master → destination, with the sfx and ambient buses mixed into master. Created with the
+// audio context, on the first sound, so browsers that need a user gesture are satisfied.
+const getBuses = (context) => {
+  if (!buses) {
+    const levels = getBusLevels(currentSettings);
+    const master = context.createGain();
+    const sfx = context.createGain();
+    const ambient = context.createGain();
+    master.gain.value = levels.master;
+    sfx.gain.value = levels.sfx;
+    ambient.gain.value = levels.ambient;
+    sfx.connect(master);
+    ambient.connect(master);
+    master.connect(context.destination);
+    buses = { master, sfx, ambient };
+  }
+  return buses;
+};
+
+export const applyAudioSettings = (settings) => {
+  currentSettings = settings;
+  if (!audioContext || !buses) {
+    return;
+  }
+
+  const levels = getBusLevels(settings);
+  const now = audioContext.currentTime;
+  Object.entries(levels).forEach(([bus, level]) => {
+    buses[bus].gain.setTargetAtTime(level, now, GAIN_SMOOTHING);
+  });
+};
+
+// The ambient bus, for background music. Null until a sound effect has started the audio
+// context, so music never tries to play before the first user gesture.
+export const getAmbientOutput = () =>
+  audioContext?.state === "running"
+    ? { context: audioContext, output: getBuses(audioContext).ambient }
+    : null;
+
+// Pans by the column played across the whole grid: -PAN_WIDTH at the far left, +PAN_WIDTH at
+// the far right. Without a cell, the board's centre column is used.
+export const getColumnPan = (size, boardIndex, cellIndex = null) => {
+  if (!Number.isInteger(boardIndex) || size < 2) {
+    return 0;
+  }
+  const cellColumn = Number.isInteger(cellIndex) ? cellIndex % size : (size - 1) / 2;
+  const column = (boardIndex % size) * size + cellColumn;
+  return ((column / (size * size - 1)) * 2 - 1) * PAN_WIDTH;
+};
+
+// Detunes by the row played across the whole grid: +ROW_DETUNE_CENTS on the top row down to
+// -ROW_DETUNE_CENTS on the bottom row, so together with the pan every cell of any size sounds
+// in its own place. Without a cell, the board's centre row is used.
+export const getRowDetune = (size, boardIndex, cellIndex = null) => {
+  if (!Number.isInteger(boardIndex) || size < 2) {
+    return 0;
+  }
+  const cellRow = Number.isInteger(cellIndex) ? Math.floor(cellIndex / size) : (size - 1) / 2;
+  const row = Math.floor(boardIndex / size) * size + cellRow;
+  return (1 - (row / (size * size - 1)) * 2) * ROW_DETUNE_CENTS;
+};
+
+export const scheduleTone = (
   context,
+  output,
   startTime,
-  { frequency, duration = 0.11, gain = 0.045, type = "sine", endFrequency },
+  {
+    frequency,
+    duration = 0.11,
+    gain = 0.045,
+    type = "sine",
+    endFrequency,
+    attack = 0.02,
+    detune = 0,
+  },
 ) => {
   const oscillator = context.createOscillator();
   const gainNode = context.createGain();
@@ -41,22 +312,25 @@ const scheduleTone = (
 
   oscillator.type = type;
   oscillator.frequency.setValueAtTime(frequency, startTime);
+  if (detune) {
+    oscillator.detune.setValueAtTime(detune, startTime);
+  }
   if (endFrequency) {
     oscillator.frequency.exponentialRampToValueAtTime(endFrequency, releaseTime);
   }
 
   gainNode.gain.setValueAtTime(0.0001, startTime);
-  gainNode.gain.exponentialRampToValueAtTime(safeGain, startTime + 0.02);
+  gainNode.gain.exponentialRampToValueAtTime(safeGain, startTime + Math.min(attack, duration / 2));
   gainNode.gain.exponentialRampToValueAtTime(0.0001, releaseTime);
 
   oscillator.connect(gainNode);
-  gainNode.connect(context.destination);
+  gainNode.connect(output);
   oscillator.start(startTime);
   oscillator.stop(releaseTime + 0.03);
 };
 
-const playPattern = (enabled, tones) => {
-  if (!enabled) {
+const playPattern = (settings, voice, pan, detune) => {
+  if (!settings?.enabled) {
     return;
   }
 
@@ -65,68 +339,33 @@ const playPattern = (enabled, tones) => {
     return;
   }
 
+  let output = getBuses(context).sfx;
+  if (pan !== 0 && typeof context.createStereoPanner === "function") {
+    const panner = context.createStereoPanner();
+    panner.pan.value = pan;
+    panner.connect(output);
+    output = panner;
+  }
+
   const startTime = context.currentTime + 0.01;
-  tones.forEach((tone) => {
-    scheduleTone(context, startTime + (tone.when ?? 0), tone);
+  getSoundPack(settings.packId).voices[voice].forEach((tone) => {
+    scheduleTone(context, output, startTime + (tone.when ?? 0), { ...tone, detune });
   });
 };
 
-export const playMoveSfx = (enabled) =>
-  playPattern(enabled, [
-    { frequency: 540, when: 0, duration: 0.08, gain: 0.034, type: "triangle" },
-    { frequency: 680, when: 0.05, duration: 0.09, gain: 0.03, type: "triangle" },
-  ]);
-
-export const playXMoveSfx = (enabled) =>
-  playPattern(enabled, [
-    { frequency: 560, when: 0, duration: 0.07, gain: 0.032, type: "triangle" },
-    { frequency: 720, when: 0.05, duration: 0.08, gain: 0.034, type: "triangle" },
-    { frequency: 900, when: 0.1, duration: 0.09, gain: 0.036, type: "sine" },
-  ]);
-
-export const playOMoveSfx = (enabled) =>
-  playPattern(enabled, [
-    { frequency: 520, when: 0, duration: 0.08, gain: 0.032, type: "triangle" },
-    { frequency: 410, when: 0.06, duration: 0.09, gain: 0.03, type: "triangle" },
-    { frequency: 310, when: 0.12, duration: 0.1, gain: 0.028, type: "sine" },
-  ]);
-
-export const playInterTurnSfx = (enabled) =>
-  playPattern(enabled, [
-    { frequency: 482, when: 0.18, duration: 0.06, gain: 0.017, type: "sine" },
-    { frequency: 535, when: 0.24, duration: 0.07, gain: 0.016, type: "sine" },
-  ]);
-
-export const playInvalidSfx = (enabled) =>
-  playPattern(enabled, [
-    {
-      frequency: 200,
-      endFrequency: 130,
-      when: 0,
-      duration: 0.14,
-      gain: 0.028,
-      type: "sawtooth",
-    },
-  ]);
-
-export const playLocalWinSfx = (enabled) =>
-  playPattern(enabled, [
-    { frequency: 392, when: 0, duration: 0.1, gain: 0.03, type: "triangle" },
-    { frequency: 523, when: 0.08, duration: 0.11, gain: 0.032, type: "triangle" },
-    { frequency: 659, when: 0.16, duration: 0.12, gain: 0.034, type: "triangle" },
-  ]);
-
-export const playSuperWinSfx = (enabled) =>
-  playPattern(enabled, [
-    { frequency: 523, when: 0, duration: 0.11, gain: 0.036, type: "triangle" },
-    { frequency: 659, when: 0.1, duration: 0.11, gain: 0.038, type: "triangle" },
-    { frequency: 784, when: 0.2, duration: 0.12, gain: 0.04, type: "triangle" },
-    { frequency: 1047, when: 0.32, duration: 0.2, gain: 0.046, type: "sine" },
-  ]);
-
-export const playDrawSfx = (enabled) =>
-  playPattern(enabled, [
-    { frequency: 440, when: 0, duration: 0.1, gain: 0.028, type: "sine" },
-    { frequency: 392, when: 0.1, duration: 0.1, gain: 0.026, type: "sine" },
-    { frequency: 349, when: 0.2, duration: 0.14, gain: 0.024, type: "sine" },
-  ]);
+// Every effect takes the audio settings, an optional stereo pan from -1 to 1 and an optional
+// detune in cents.
+const createEffect = (voice) => (settings, pan = 0, detune = 0) =>
+  playPattern(settings, voice, pan, detune);
+
+export const playMoveSfx = createEffect("move");
+export const playXMoveSfx = createEffect("xMove");
+export const playOMoveSfx = createEffect("oMove");
+export const playInterTurnSfx = createEffect("interTurn");
+export const playInvalidSfx = createEffect("invalid");
+export const playLocalWinSfx = createEffect("localWin");
+export const playSuperWinSfx = createEffect("superWin");
+export const playDrawSfx = createEffect("draw");
+export const playLowTimeSfx = createEffect("lowTime");
+export const playClockTickSfx = createEffect("clockTick");
+export const playTimeoutSfx = createEffect("timeout");
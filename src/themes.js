@@ -0,0 +1,142 @@
+// Each theme covers both renderers: pieces, board surfaces and cell tones, the 3D scene and
+// backdrop, and post-processing strengths (0 turns an effect off whatever the quality preset).
+// HUD colours live in styles.css under the matching `data-theme` selector.
+export const THEMES = {
+  vaporwave: {
+    label: "Vaporwave",
+    pieces: { x: "#ff4fc8", o: "#4ef4f1", xEmissive: "#fb7185", oEmissive: "#5eead4" },
+    board: {
+      active: "#ffe6f7",
+      inactive: "#f2eeff",
+      resolved: "#d9d5ff",
+      glow: "#f0abfc",
+      lineLocal: "#c084fc",
+      lineMeta: "#8b5cf6",
+      hint: "#facc15",
+    },
+    cells: {
+      playable: "#fff1f2",
+      blocked: "#e9e4ff",
+      "x-won": "#ffd0f2",
+      "o-won": "#cffafe",
+      drawn: "#ddd6fe",
+    },
+    overlays: { "x-won": "#ffd0f2", "o-won": "#cffafe", drawn: "#d9d5ff" },
+    scene: {
+      background: "#12042b",
+      fog: "#21053d",
+      ripple: "#f0abfc",
+      hemisphere: ["#ffe4ff", "#dbeafe"],
+      lights: ["#f9a8d4", "#67e8f9", "#a78bfa"],
+    },
+    backdrop: {
+      stars: true,
+      sparkles: "#f9a8d4",
+      glows: ["#ff78d8", "#8acbff", "#81ffd9"],
+      clouds: ["#ffd9f4", "#caedff"],
+      grid: "#a855f7",
+    },
+    effects: { bloom: 1.08, chromaticAberration: true, noise: 0.12, vignette: 0.82 },
+  },
+  "high-contrast": {
+    label: "High contrast",
+    pieces: { x: "#ffe600", o: "#00d0ff", xEmissive: "#ffe600", oEmissive: "#00d0ff" },
+    board: {
+      active: "#1f1f1f",
+      inactive: "#080808",
+      resolved: "#2e2e2e",
+      glow: "#ffffff",
+      lineLocal: "#bfbfbf",
+      lineMeta: "#ffffff",
+      hint: "#ff4dff",
+    },
+    cells: {
+      playable: "#1a1a1a",
+      blocked: "#050505",
+      "x-won": "#4d4500",
+      "o-won": "#00404f",
+      drawn: "#3a3a3a",
+    },
+    overlays: { "x-won": "#806f00", "o-won": "#006a80", drawn: "#5c5c5c" },
+    scene: {
+      background: "#000000",
+      fog: "#000000",
+      ripple: "#ffffff",
+      hemisphere: ["#ffffff", "#ffffff"],
+      lights: ["#ffffff", "#ffffff", "#ffffff"],
+    },
+    backdrop: { stars: false, sparkles: null, glows: [], clouds: [], grid: null },
+    effects: { bloom: 0, chromaticAberration: false, noise: 0, vignette: 0 },
+  },
+  "colorblind-safe": {
+    label: "Colorblind-safe",
+    pieces: { x: "#e69f00", o: "#0072b2", xEmissive: "#e69f00", oEmissive: "#56b4e9" },
+    board: {
+      active: "#fdf6e3",
+      inactive: "#e8e4da",
+      resolved: "#d6d2c8",
+      glow: "#f0e442",
+      lineLocal: "#7a7a7a",
+      lineMeta: "#3d3d3d",
+      hint: "#009e73",
+    },
+    cells: {
+      playable: "#fffdf5",
+      blocked: "#dcd8cd",
+      "x-won": "#f8dca6",
+      "o-won": "#b8d8ee",
+      drawn: "#cfcfcf",
+    },
+    overlays: { "x-won": "#f3c46b", "o-won": "#7fb8e0", drawn: "#bdbdbd" },
+    scene: {
+      background: "#14213d",
+      fog: "#14213d",
+      ripple: "#f0e442",
+      hemisphere: ["#ffffff", "#e5e7eb"],
+      lights: ["#ffffff", "#dbeafe", "#fef3c7"],
+    },
+    backdrop: { stars: true, sparkles: null, glows: [], clouds: [], grid: "#56b4e9" },
+    effects: { bloom: 0.35, chromaticAberration: false, noise: 0, vignette: 0.5 },
+  },
+  "dark-minimal": {
+    label: "Dark minimal",
+    pieces: { x: "#f8fafc", o: "#f59e0b", xEmissive: "#cbd5e1", oEmissive: "#f59e0b" },
+    board: {
+      active: "#334155",
+      inactive: "#1e293b",
+      resolved: "#273449",
+      glow: "#94a3b8",
+      lineLocal: "#475569",
+      lineMeta: "#64748b",
+      hint: "#38bdf8",
+    },
+    cells: {
+      playable: "#3b4a61",
+      blocked: "#1e293b",
+      "x-won": "#4b5563",
+      "o-won": "#57452a",
+      drawn: "#2c3545",
+    },
+    overlays: { "x-won": "#64748b", "o-won": "#8a6a2e", drawn: "#3f4a5c" },
+    scene: {
+      background: "#0b0f17",
+      fog: "#0b0f17",
+      ripple: "#94a3b8",
+      hemisphere: ["#e2e8f0", "#94a3b8"],
+      lights: ["#e2e8f0", "#cbd5e1", "#94a3b8"],
+    },
+    backdrop: { stars: false, sparkles: null, glows: [], clouds: [], grid: null },
+    effects: { bloom: 0.4, chromaticAberration: false, noise: 0, vignette: 0.6 },
+  },
+};
+
+export const DEFAULT_THEME_ID = "vaporwave";
+
+export const THEME_OPTIONS = Object.entries(THEMES).map(([id, theme]) => ({
+  id,
+  label: theme.label,
+}));
+
+export const normalizeThemeId = (value) => (THEMES[value] ? value : DEFAULT_THEME_ID);
+
+export const getTheme = (themeId) => THEMES[normalizeThemeId(themeId)];
@@ -0,0 +1,172 @@
+import { canPlayInBoard, indexToCoords, makeMove, replayMoves } from "./gameLogic";
+import { parseMove } from "./gameRecord";
+import { getBoardThreats } from "./positionAnalysis";
+
+const TUTORIAL_SIZE = 3;
+
+const coordsLabel = (index) => {
+  const { row, col } = indexToCoords(index, TUTORIAL_SIZE);
+  return `(${row + 1}, ${col + 1})`;
+};
+
+// Positions are written in record notation and replayed, so every lesson starts from a legal
+// game. `check` receives the position before and after the player's move.
+export const TUTORIAL_LESSONS = [
+  {
+    id: "big-board",
+    title: "The big board",
+    text:
+      "The game is a 3×3 grid of small tic-tac-toe boards. Win a small board to claim its square " +
+      "on the big board; three claimed squares in a row win the game. X may open anywhere.",
+    task: "Play any cell in the centre board.",
+    moves: [],
+    check: ({ move }) => move.boardIndex === 4,
+    retry: "Legal, but this lesson asks for the centre board.",
+    success: "The centre board is often the most valuable one.",
+  },
+  {
+    id: "move-direction",
+    title: "Where your move sends",
+    text:
+      "The cell you pick decides where your opponent plays next: X played the top-right cell of " +
+      "the centre board, so O must now play in the top-right board.",
+    task: "You are O. Pick the cell that sends X back to the centre board.",
+    moves: ["(2,2):(1,3)"],
+    check: ({ next }) => next.nextBoardIndex === 4,
+    retry: ({ next }) => `That sends X to board ${coordsLabel(next.nextBoardIndex)} instead.`,
+    success: "The centre cell of any board points to the centre board.",
+  },
+  {
+    id: "win-board",
+    title: "Win a small board",
+    text: "A small board is won with three in a row, just like ordinary tic-tac-toe.",
+    task: "You are X. Win the board you were sent to.",
+    moves: ["(1,2):(2,1)", "(2,1):(1,2)", "(1,2):(3,1)", "(3,1):(1,2)"],
+    check: ({ previous, next, move }) =>
+      next.boards[move.boardIndex].winner === previous.currentPlayer,
+    retry: "Look for the cell that completes your column.",
+    success: "The board is yours and its square on the big board now shows an X.",
+  },
+  {
+    id: "block",
+    title: "Block a threat",
+    text: "Your opponent's lines matter as much as your own. O has two in a row in the centre board.",
+    task: "You are X. Stop O from winning the centre board.",
+    moves: ["(1,2):(2,2)", "(2,2):(3,1)", "(3,1):(2,2)", "(2,2):(2,2)"],
+    check: ({ previous, move }) =>
+      getBoardThreats(previous)[move.boardIndex].O.includes(move.cellIndex),
+    retry: "O still completes the diagonal next turn.",
+    success: "Blocked. O's diagonal is dead.",
+  },
+  {
+    id: "finished-board",
+    title: "Finished boards",
+    text:
+      "When your cell points to a board that is already won or drawn, your opponent may play in " +
+      "any open board instead. O has won the bottom-middle board.",
+    task: "You are X. Send O to the finished board to see the free move.",
+    moves: [
+      "(3,3):(3,2)",
+      "(3,2):(3,1)",
+      "(3,1):(3,2)",
+      "(3,2):(2,2)",
+      "(2,2):(3,2)",
+      "(3,2):(1,3)",
+    ],
+    check: ({ next }) => next.nextBoardIndex === null && !next.boardChoicePending,
+    retry: ({ next }) => `That sends O to the open board ${coordsLabel(next.nextBoardIndex)}.`,
+    success: "O can now play anywhere, which is usually a gift, so avoid it in real games.",
+  },
+  {
+    id: "safe-send",
+    title: "Look where you send",
+    text:
+      "Before playing, check the board your cell points to. If your opponent has two in a row " +
+      "there, you are handing them that board.",
+    task: "You are X. Play a cell that does not send O to a board O can win right away.",
+    moves: [
+      "(1,2):(3,1)",
+      "(3,1):(2,1)",
+      "(2,1):(2,1)",
+      "(2,1):(2,3)",
+      "(2,3):(3,1)",
+      "(3,1):(1,1)",
+      "(1,1):(2,1)",
+      "(2,1):(3,3)",
+    ],
+    check: ({ next }) =>
+      next.nextBoardIndex !== null && getBoardThreats(next)[next.nextBoardIndex].O.length === 0,
+    retry: ({ next }) =>
+      next.nextBoardIndex === null
+        ? "That gives O a free move, including the boards O can win."
+        : `O can win board ${coordsLabel(next.nextBoardIndex)} from there.`,
+    success: "Safe: O has no winning cell on that board.",
+  },
+  {
+    id: "win-game",
+    title: "Win the game",
+    text: "Three small boards in a row on the big board win the game.",
+    task: "You are X. Find the move that wins the whole game.",
+    moves: [
+      "(2,3):(1,2)",
+      "(1,2):(1,3)",
+      "(1,3):(3,2)",
+      "(3,2):(1,3)",
+      "(1,3):(3,3)",
+      "(3,3):(2,1)",
+      "(2,1):(1,1)",
+      "(1,1):(2,3)",
+      "(2,3):(1,1)",
+      "(1,1):(1,2)",
+      "(1,2):(2,3)",
+      "(2,3):(3,3)",
+      "(3,3):(3,3)",
+      "(3,3):(1,3)",
+      "(1,3):(2,3)",
+      "(2,3):(2,3)",
+      "(2,3):(1,3)",
+      "(1,3):(1,3)",
+      "(1,3):(3,1)",
+      "(3,1):(3,3)",
+      "(3,3):(3,2)",
+      "(3,2):(3,3)",
+    ],
+    check: ({ previous, next }) => next.winner === previous.currentPlayer,
+    retry: "Which board would complete a line of your boards, and can you win it this move?",
+    success: "That completes three boards in a row. You know the rules!",
+  },
+];
+
+export const createLessonGame = (lesson) =>
+  replayMoves(
+    TUTORIAL_SIZE,
+    lesson.moves.map((token) => parseMove(token, TUTORIAL_SIZE)),
+  );
+
+const describeIllegalMove = (game, boardIndex) => {
+  if (!canPlayInBoard(game, boardIndex) && game.nextBoardIndex !== null) {
+    return `You must play in board ${coordsLabel(game.nextBoardIndex)}: the last move pointed there.`;
+  }
+  return "That cell is already taken.";
+};
+
+// Checks a move through makeMove. Returns { status, game, message } where status is
+// "illegal", "retry" (legal but not the lesson's goal) or "solved".
+export const checkLessonMove = (lesson, game, boardIndex, cellIndex) => {
+  const next = makeMove(game, boardIndex, cellIndex);
+  if (next === game) {
+    return { status: "illegal", game, message: describeIllegalMove(game, boardIndex) };
+  }
+
+  const context = { previous: game, next, move: { boardIndex, cellIndex } };
+  if (!lesson.check(context)) {
+    const message = typeof lesson.retry === "function" ? lesson.retry(context) : lesson.retry;
+    return { status: "retry", game, message };
+  }
+  return { status: "solved", game: next, message: lesson.success };
+};
+
+export const normalizeTutorialProgress = (value) =>
+  Array.isArray(value)
+    ? TUTORIAL_LESSONS.map((lesson) => lesson.id).filter((id) => value.includes(id))
+    : [];
@@ -0,0 +1,117 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { createRelayConnection, rebuildFromActions } from "./onlineClient";
+
+// Keeps the active library game in sync with a relay room. The relay log is the source of
+// truth: every joined/action/sync message rebuilds the position and hands it to `onGame`.
+const useOnlineMatch = ({ entryId, opponent, game, onGame, onSeat }) => {
+  const [status, setStatus] = useState("idle");
+  const [presence, setPresence] = useState(null);
+  const [error, setError] = useState(null);
+  const connectionRef = useRef(null);
+  const logRef = useRef([]);
+  const unackedRef = useRef(0);
+  const latestRef = useRef({ opponent, game, onGame, onSeat });
+  const isOnline = opponent.type === "online";
+  const serverUrl = opponent.serverUrl;
+
+  useEffect(() => {
+    latestRef.current = { opponent, game, onGame, onSeat };
+  });
+
+  useEffect(() => {
+    if (!isOnline || !serverUrl) {
+      setStatus("idle");
+      setPresence(null);
+      return undefined;
+    }
+
+    let active = true;
+    let room = null;
+    logRef.current = [];
+    unackedRef.current = 0;
+    setError(null);
+
+    const publish = () => {
+      if (room) {
+        latestRef.current.onGame(rebuildFromActions(room.size, room.rules, logRef.current));
+      }
+    };
+
+    const handlers = {
+      joined: (message) => {
+        room = { size: message.size, rules: message.rules };
+        logRef.current = Array.isArray(message.actions) ? message.actions : [];
+        unackedRef.current = 0;
+        setError(null);
+        latestRef.current.onSeat({ code: message.code, token: message.token, side: message.side });
+        publish();
+      },
+      action: (message) => {
+        if (message.seq !== logRef.current.length) {
+          connection.send({ type: "sync" });
+          return;
+        }
+        logRef.current = [...logRef.current, message.action];
+        if (message.action?.player === latestRef.current.opponent.side && unackedRef.current > 0) {
+          unackedRef.current -= 1;
+        }
+        publish();
+      },
+      sync: (message) => {
+        logRef.current = Array.isArray(message.actions) ? message.actions : [];
+        unackedRef.current = 0;
+        publish();
+      },
+      presence: (message) => setPresence(message.seats ?? null),
+      error: (message) => setError(message.message ?? "The relay rejected the request."),
+    };
+
+    const connection = createRelayConnection({
+      url: serverUrl,
+      getHandshake: () => {
+        const { opponent: current, game: currentGame } = latestRef.current;
+        if (current.code) {
+          return { type: "join", code: current.code, token: current.token };
+        }
+        return {
+          type: "create",
+          side: current.side,
+          size: currentGame.size,
+          rules: currentGame.rules,
+        };
+      },
+      onMessage: (message) => {
+        if (active) {
+          handlers[message?.type]?.(message);
+        }
+      },
+      onStatusChange: (nextStatus) => {
+        if (active) {
+          setStatus(nextStatus);
+        }
+      },
+    });
+    connectionRef.current = connection;
+
+    return () => {
+      active = false;
+      connection.close();
+      connectionRef.current = null;
+    };
+  }, [entryId, isOnline, serverUrl]);
+
+  // Actions sent before the relay echoes the previous one (a move followed by a board pick)
+  // take the next free sequence number.
+  const sendAction = useCallback((action) => {
+    const seq = logRef.current.length + unackedRef.current;
+    const sent = connectionRef.current?.send({ type: "action", seq, action }) ?? false;
+    if (sent) {
+      unackedRef.current += 1;
+    }
+    return sent;
+  }, []);
+
+  return { status, presence, error, sendAction };
+};
+
+export default useOnlineMatch;
@@ -0,0 +1,152 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { applyNetworkAction, getGameActions, rebuildFromActions } from "./onlineClient";
+import { createPeerLink } from "./peerLink";
+
+const getActionKey = (action) =>
+  [action.type, action.player, action.boardIndex, action.cellIndex, action.sendBoardIndex].join(":");
+
+const isActionPrefix = (prefix, actions) =>
+  prefix.length <= actions.length &&
+  prefix.every((action, index) => getActionKey(action) === getActionKey(actions[index]));
+
+// Keeps the active library game in sync with one other browser over a WebRTC data channel.
+// There is no server to hold the log, so on connect both sides swap their whole log ("hello")
+// and keep whichever one extends the other; when the logs diverge the host's game wins.
+const usePeerMatch = ({ entryId, opponent, game, onGame, onSide }) => {
+  const [status, setStatus] = useState("idle");
+  const [role, setRole] = useState(null);
+  const [signal, setSignal] = useState("");
+  const [error, setError] = useState(null);
+  const linkRef = useRef(null);
+  const roleRef = useRef(null);
+  const latestRef = useRef({ opponent, game, onGame, onSide });
+  const isPeer = opponent.type === "peer";
+
+  useEffect(() => {
+    latestRef.current = { opponent, game, onGame, onSide };
+  });
+
+  const closeLink = useCallback(() => {
+    linkRef.current?.close();
+    linkRef.current = null;
+    roleRef.current = null;
+    setRole(null);
+    setSignal("");
+    setStatus("idle");
+  }, []);
+
+  // The channel cannot outlive the game it was opened for.
+  useEffect(() => closeLink, [closeLink, entryId, isPeer]);
+
+  const publish = (nextGame) => {
+    latestRef.current.game = nextGame;
+    latestRef.current.onGame(nextGame);
+  };
+
+  const sendHello = (link, reply) => {
+    const { opponent: current, game: currentGame } = latestRef.current;
+    link.send({
+      type: "hello",
+      reply,
+      hostSide: roleRef.current === "host" ? current.side : null,
+      size: currentGame.size,
+      rules: currentGame.rules,
+      actions: getGameActions(currentGame),
+    });
+  };
+
+  const handleHello = (link, message) => {
+    if (roleRef.current === "guest" && (message.hostSide === "X" || message.hostSide === "O")) {
+      latestRef.current.onSide(message.hostSide === "X" ? "O" : "X");
+    }
+
+    const local = latestRef.current.game;
+    const remote = rebuildFromActions(message.size, message.rules, message.actions);
+    const localActions = getGameActions(local);
+    const remoteActions = getGameActions(remote);
+    const sameSetup =
+      local.size === remote.size && JSON.stringify(local.rules) === JSON.stringify(remote.rules);
+    const remoteIsAhead = sameSetup && isActionPrefix(localActions, remoteActions);
+    const localIsAhead = sameSetup && isActionPrefix(remoteActions, localActions);
+
+    if (remoteIsAhead || (roleRef.current === "guest" && !localIsAhead)) {
+      publish(remote);
+    }
+    if (!message.reply) {
+      sendHello(link, true);
+    }
+  };
+
+  const handleAction = (link, message) => {
+    const local = latestRef.current.game;
+    const next =
+      message.seq === getGameActions(local).length
+        ? applyNetworkAction(local, message.action)
+        : local;
+    if (next === local) {
+      sendHello(link, false);
+      return;
+    }
+    publish(next);
+  };
+
+  const startLink = async (nextRole, run) => {
+    linkRef.current?.close();
+    setError(null);
+    setSignal("");
+    roleRef.current = nextRole;
+    setRole(nextRole);
+
+    const link = createPeerLink({
+      onMessage: (message) => {
+        if (message?.type === "hello") {
+          handleHello(link, message);
+        } else if (message?.type === "action") {
+          handleAction(link, message);
+        }
+      },
+      onStatusChange: (nextStatus) => {
+        setStatus(nextStatus);
+        if (nextStatus === "open") {
+          sendHello(link, false);
+        }
+      },
+    });
+    linkRef.current = link;
+    setStatus("preparing");
+
+    try {
+      const nextSignal = await run(link);
+      if (linkRef.current === link) {
+        setSignal(nextSignal);
+      }
+    } catch (linkError) {
+      if (linkRef.current === link) {
+        setError(linkError.message);
+        setStatus("failed");
+      }
+    }
+  };
+
+  const host = () => startLink("host", (link) => link.createOffer());
+
+  const join = (offerText) => startLink("guest", (link) => link.acceptOffer(offerText));
+
+  const completeHost = async (answerText) => {
+    setError(null);
+    try {
+      await linkRef.current?.acceptAnswer(answerText);
+    } catch (linkError) {
+      setError(linkError.message);
+    }
+  };
+
+  const sendAction = useCallback((action) => {
+    const seq = getGameActions(latestRef.current.game).length;
+    return linkRef.current?.send({ type: "action", seq, action }) ?? false;
+  }, []);
+
+  return { status, role, signal, error, host, join, completeHost, sendAction, disconnect: closeLink };
+};
+
+export default usePeerMatch;
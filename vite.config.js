@@ -3,4 +3,8 @@ import react from "@vitejs/plugin-react";
 
 export default defineConfig({
   plugins: [react()],
+  // The relay tests use node:test and run under Node directly; see the test script.
+  test: {
+    include: ["src/**/*.test.js"],
+  },
 });